@@ -0,0 +1,857 @@
+-- D&D 5e Database Schema (Release 1.3 - Final Relational Version)
+-- Generated from PACK/schema.js by `npm run schema`; edit that file, not this one.
+-- Run this script on your PostgreSQL database to create all necessary tables.
+
+-- Sets last_updated on every update, like MySQL's ON UPDATE CURRENT_TIMESTAMP.
+CREATE OR REPLACE FUNCTION "set_last_updated"() RETURNS trigger AS $$
+BEGIN
+  NEW."last_updated" = CURRENT_TIMESTAMP;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- -----------------------------------------------------
+-- Core Gameplay Tables
+-- These tables define the fundamental mechanics, rules, and concepts of the game.
+-- -----------------------------------------------------
+
+CREATE TABLE "ability_scores" (
+  "id" serial,
+  "index" varchar(50) NOT NULL,
+  "name" varchar(50) NOT NULL,
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "ability_scores_last_updated" BEFORE UPDATE ON "ability_scores"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "skills" (
+  "id" serial,
+  "index" varchar(50) NOT NULL,
+  "name" varchar(50) NOT NULL,
+  "description" text,
+  "ability_score" varchar(50),
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "skills_last_updated" BEFORE UPDATE ON "skills"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "languages" (
+  "id" serial,
+  "index" varchar(50) NOT NULL,
+  "name" varchar(50) NOT NULL,
+  "type" varchar(50),
+  "typical_speakers" text,
+  "script" varchar(50),
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "languages_last_updated" BEFORE UPDATE ON "languages"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "alignments" (
+  "id" serial,
+  "index" varchar(50) NOT NULL,
+  "name" varchar(50) NOT NULL,
+  "abbreviation" varchar(10) NOT NULL,
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "alignments_last_updated" BEFORE UPDATE ON "alignments"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "rule_sections" (
+  "id" serial,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE INDEX "rule_sections_search" ON "rule_sections" USING GIN (to_tsvector('english', coalesce("name", '') || ' ' || coalesce("description", '')));
+
+CREATE TRIGGER "rule_sections_last_updated" BEFORE UPDATE ON "rule_sections"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "rules" (
+  "id" serial,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "description" text,
+  "rule_section_index" varchar(100),
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE INDEX "rules_search" ON "rules" USING GIN (to_tsvector('english', coalesce("name", '') || ' ' || coalesce("description", '')));
+
+CREATE TRIGGER "rules_last_updated" BEFORE UPDATE ON "rules"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+-- -----------------------------------------------------
+-- Character Build Tables
+-- These tables define the options available for character creation and progression,
+-- including races, classes, backgrounds, and the join tables that link them together.
+-- -----------------------------------------------------
+
+CREATE TABLE "backgrounds" (
+  "id" serial,
+  "index" varchar(50) NOT NULL,
+  "name" varchar(50) NOT NULL,
+  "starting_proficiencies" text,
+  "language_options" text,
+  "starting_equipment" text,
+  "feature_name" varchar(100),
+  "feature_desc" text,
+  "personality_traits" text,
+  "ideals" text,
+  "bonds" text,
+  "flaws" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "backgrounds_last_updated" BEFORE UPDATE ON "backgrounds"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "feats" (
+  "id" serial,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "prerequisites" text,
+  "description" text,
+  "source" varchar(20) NOT NULL DEFAULT 'srd',
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "feats_last_updated" BEFORE UPDATE ON "feats"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "races" (
+  "id" serial,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "speed" integer,
+  "ability_bonuses" text,
+  "alignment" text,
+  "age" text,
+  "size" varchar(50),
+  "size_description" text,
+  "language_desc" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "races_last_updated" BEFORE UPDATE ON "races"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "race_proficiencies" (
+  "id" serial,
+  "race_index" varchar(100) NOT NULL,
+  "proficiency_index" varchar(100) NOT NULL,
+  PRIMARY KEY ("id"),
+  UNIQUE ("race_index", "proficiency_index")
+);
+
+CREATE TABLE "race_languages" (
+  "id" serial,
+  "race_index" varchar(100) NOT NULL,
+  "language_index" varchar(100) NOT NULL,
+  PRIMARY KEY ("id"),
+  UNIQUE ("race_index", "language_index")
+);
+
+CREATE TABLE "race_traits" (
+  "id" serial,
+  "race_index" varchar(100) NOT NULL,
+  "trait_index" varchar(100) NOT NULL,
+  PRIMARY KEY ("id"),
+  UNIQUE ("race_index", "trait_index")
+);
+
+CREATE TABLE "subraces" (
+  "id" serial,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "race_index" varchar(100),
+  "description" text,
+  "ability_bonuses" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "subraces_last_updated" BEFORE UPDATE ON "subraces"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "subrace_proficiencies" (
+  "id" serial,
+  "subrace_index" varchar(100) NOT NULL,
+  "proficiency_index" varchar(100) NOT NULL,
+  PRIMARY KEY ("id"),
+  UNIQUE ("subrace_index", "proficiency_index")
+);
+
+CREATE TABLE "subrace_languages" (
+  "id" serial,
+  "subrace_index" varchar(100) NOT NULL,
+  "language_index" varchar(100) NOT NULL,
+  "is_option" smallint NOT NULL DEFAULT 0,
+  PRIMARY KEY ("id"),
+  UNIQUE ("subrace_index", "language_index")
+);
+
+CREATE TABLE "subrace_traits" (
+  "id" serial,
+  "subrace_index" varchar(100) NOT NULL,
+  "trait_index" varchar(100) NOT NULL,
+  PRIMARY KEY ("id"),
+  UNIQUE ("subrace_index", "trait_index")
+);
+
+CREATE TABLE "classes" (
+  "id" serial,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "hit_die" integer,
+  "saving_throws" text,
+  "multi_classing" text,
+  "spellcasting" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "classes_last_updated" BEFORE UPDATE ON "classes"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "class_levels" (
+  "id" serial,
+  "class_index" varchar(100),
+  "level" integer,
+  "ability_score_bonuses" integer,
+  "prof_bonus" integer,
+  "features" text,
+  "class_specific" text,
+  PRIMARY KEY ("id"),
+  UNIQUE ("class_index", "level")
+);
+
+CREATE TABLE "class_spells" (
+  "id" serial,
+  "class_index" varchar(100),
+  "spell_index" varchar(100),
+  "level_acquired" integer,
+  PRIMARY KEY ("id"),
+  UNIQUE ("class_index", "spell_index")
+);
+
+CREATE TABLE "class_proficiency_choices" (
+  "id" serial,
+  "class_index" varchar(100),
+  "choice_index" integer,
+  "description" text,
+  "choose" integer,
+  "type" varchar(100),
+  "options" text,
+  PRIMARY KEY ("id")
+);
+
+CREATE TABLE "class_starting_equipment" (
+  "id" serial,
+  "class_index" varchar(100),
+  "equipment_index" varchar(100),
+  "quantity" integer,
+  PRIMARY KEY ("id")
+);
+
+CREATE TABLE "class_starting_equipment_options" (
+  "id" serial,
+  "class_index" varchar(100),
+  "choice_index" integer,
+  "description" text,
+  "choose" integer,
+  "options" text,
+  PRIMARY KEY ("id")
+);
+
+CREATE TABLE "subclasses" (
+  "id" serial,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "class_index" varchar(100),
+  "subclass_flavor" text,
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "subclasses_last_updated" BEFORE UPDATE ON "subclasses"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "subclass_levels" (
+  "id" serial,
+  "subclass_index" varchar(100),
+  "level" integer,
+  "features" text,
+  PRIMARY KEY ("id"),
+  UNIQUE ("subclass_index", "level")
+);
+
+CREATE TABLE "subclass_spells" (
+  "id" serial,
+  "subclass_index" varchar(100),
+  "spell_index" varchar(100),
+  "prerequisites" text,
+  PRIMARY KEY ("id"),
+  UNIQUE ("subclass_index", "spell_index")
+);
+
+CREATE TABLE "features" (
+  "id" serial,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "class" varchar(100),
+  "subclass" varchar(100),
+  "level" integer,
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE INDEX "features_search" ON "features" USING GIN (to_tsvector('english', coalesce("name", '') || ' ' || coalesce("description", '')));
+
+CREATE TRIGGER "features_last_updated" BEFORE UPDATE ON "features"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "traits" (
+  "id" serial,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE INDEX "traits_search" ON "traits" USING GIN (to_tsvector('english', coalesce("name", '') || ' ' || coalesce("description", '')));
+
+CREATE TRIGGER "traits_last_updated" BEFORE UPDATE ON "traits"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "trait_races" (
+  "id" serial,
+  "trait_index" varchar(100) NOT NULL,
+  "race_index" varchar(100) NOT NULL,
+  PRIMARY KEY ("id"),
+  UNIQUE ("trait_index", "race_index")
+);
+
+CREATE TABLE "trait_subraces" (
+  "id" serial,
+  "trait_index" varchar(100) NOT NULL,
+  "subrace_index" varchar(100) NOT NULL,
+  PRIMARY KEY ("id"),
+  UNIQUE ("trait_index", "subrace_index")
+);
+
+CREATE TABLE "trait_proficiencies" (
+  "id" serial,
+  "trait_index" varchar(100) NOT NULL,
+  "proficiency_index" varchar(100) NOT NULL,
+  PRIMARY KEY ("id"),
+  UNIQUE ("trait_index", "proficiency_index")
+);
+
+CREATE TABLE "proficiencies" (
+  "id" serial,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100),
+  "type" varchar(100),
+  "reference_index" varchar(100),
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "proficiencies_last_updated" BEFORE UPDATE ON "proficiencies"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "proficiency_classes" (
+  "id" serial,
+  "proficiency_index" varchar(100) NOT NULL,
+  "class_index" varchar(100) NOT NULL,
+  PRIMARY KEY ("id"),
+  UNIQUE ("proficiency_index", "class_index")
+);
+
+CREATE TABLE "proficiency_races" (
+  "id" serial,
+  "proficiency_index" varchar(100) NOT NULL,
+  "race_index" varchar(100) NOT NULL,
+  PRIMARY KEY ("id"),
+  UNIQUE ("proficiency_index", "race_index")
+);
+
+-- -----------------------------------------------------
+-- Magic & Combat Tables
+-- These tables define spells, combat rules, item properties, and status effects.
+-- -----------------------------------------------------
+
+CREATE TABLE "spells" (
+  "id" serial,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "description" text,
+  "higher_level" text,
+  "spell_range" varchar(100),
+  "components" varchar(50),
+  "material" text,
+  "ritual" smallint,
+  "duration" varchar(100),
+  "concentration" smallint,
+  "casting_time" varchar(100),
+  "spell_level" integer,
+  "school_index" varchar(50),
+  "damage" text,
+  "component_v" smallint NOT NULL DEFAULT 0,
+  "component_s" smallint NOT NULL DEFAULT 0,
+  "component_m" smallint NOT NULL DEFAULT 0,
+  "area_type" varchar(20),
+  "area_size" integer,
+  "attack_type" varchar(20),
+  "damage_type_index" varchar(50),
+  "dc_type" varchar(10),
+  "dc_success" varchar(20),
+  "dc_desc" text,
+  "source" varchar(20) NOT NULL DEFAULT 'srd',
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE INDEX "spells_search" ON "spells" USING GIN (to_tsvector('english', coalesce("name", '') || ' ' || coalesce("description", '') || ' ' || coalesce("higher_level", '')));
+
+CREATE TRIGGER "spells_last_updated" BEFORE UPDATE ON "spells"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "spell_classes" (
+  "id" serial,
+  "spell_index" varchar(100) NOT NULL,
+  "class_index" varchar(100) NOT NULL,
+  PRIMARY KEY ("id"),
+  UNIQUE ("spell_index", "class_index")
+);
+
+CREATE TABLE "spell_subclasses" (
+  "id" serial,
+  "spell_index" varchar(100) NOT NULL,
+  "subclass_index" varchar(100) NOT NULL,
+  PRIMARY KEY ("id"),
+  UNIQUE ("spell_index", "subclass_index")
+);
+
+CREATE TABLE "spell_scaling" (
+  "id" serial,
+  "spell_index" varchar(100) NOT NULL,
+  "effect" varchar(10) NOT NULL,
+  "scaling" varchar(10) NOT NULL,
+  "level" integer NOT NULL,
+  "dice" varchar(50) NOT NULL,
+  PRIMARY KEY ("id"),
+  UNIQUE ("spell_index", "effect", "scaling", "level")
+);
+
+CREATE TABLE "magic_schools" (
+  "id" serial,
+  "index" varchar(50) NOT NULL,
+  "name" varchar(50),
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "magic_schools_last_updated" BEFORE UPDATE ON "magic_schools"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "damage_types" (
+  "id" serial,
+  "index" varchar(50) NOT NULL,
+  "name" varchar(50) NOT NULL,
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "damage_types_last_updated" BEFORE UPDATE ON "damage_types"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "conditions" (
+  "id" serial,
+  "index" varchar(50) NOT NULL,
+  "name" varchar(50) NOT NULL,
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE INDEX "conditions_search" ON "conditions" USING GIN (to_tsvector('english', coalesce("name", '') || ' ' || coalesce("description", '')));
+
+CREATE TRIGGER "conditions_last_updated" BEFORE UPDATE ON "conditions"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "weapon_properties" (
+  "id" serial,
+  "index" varchar(50) NOT NULL,
+  "name" varchar(50) NOT NULL,
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "weapon_properties_last_updated" BEFORE UPDATE ON "weapon_properties"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+-- -----------------------------------------------------
+-- Equipment & Monster Tables
+-- These tables define all items, gear, and creatures in the game.
+-- -----------------------------------------------------
+
+CREATE TABLE "equipment" (
+  "id" serial,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "equipment_category_index" varchar(100),
+  "gear_category" varchar(100),
+  "cost" varchar(50),
+  "weight" real,
+  "description" text,
+  "weapon_category" varchar(100),
+  "weapon_range" varchar(50),
+  "category_range" varchar(100),
+  "damage" text,
+  "two_handed_damage" text,
+  "range_info" text,
+  "properties" text,
+  "armor_category" varchar(100),
+  "armor_class" text,
+  "str_minimum" integer,
+  "stealth_disadvantage" smallint,
+  "contents" text,
+  "speed_info" text,
+  "capacity" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "equipment_last_updated" BEFORE UPDATE ON "equipment"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "equipment_categories" (
+  "id" serial,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "equipment_categories_last_updated" BEFORE UPDATE ON "equipment_categories"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "magic_items" (
+  "id" serial,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "equipment_category_index" varchar(100),
+  "rarity_name" varchar(50),
+  "description" text,
+  "source" varchar(20) NOT NULL DEFAULT 'srd',
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE INDEX "magic_items_search" ON "magic_items" USING GIN (to_tsvector('english', coalesce("name", '') || ' ' || coalesce("description", '')));
+
+CREATE TRIGGER "magic_items_last_updated" BEFORE UPDATE ON "magic_items"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "monsters" (
+  "id" serial,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "size" varchar(50),
+  "type" varchar(50),
+  "subtype" varchar(50),
+  "alignment" varchar(100),
+  "armor_class" text,
+  "hit_points" integer,
+  "hit_dice" varchar(50),
+  "speed" text,
+  "strength" integer,
+  "dexterity" integer,
+  "constitution" integer,
+  "intelligence" integer,
+  "wisdom" integer,
+  "charisma" integer,
+  "damage_vulnerabilities" text,
+  "damage_resistances" text,
+  "damage_immunities" text,
+  "senses" text,
+  "languages" varchar(255),
+  "challenge_rating" real,
+  "xp" integer,
+  "special_abilities" text,
+  "actions" text,
+  "legendary_actions" text,
+  "environments" text,
+  "source" varchar(20) NOT NULL DEFAULT 'srd',
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("index")
+);
+
+CREATE INDEX "monsters_search" ON "monsters" USING GIN (to_tsvector('english', coalesce("name", '') || ' ' || coalesce("special_abilities", '') || ' ' || coalesce("actions", '') || ' ' || coalesce("legendary_actions", '')));
+
+CREATE TRIGGER "monsters_last_updated" BEFORE UPDATE ON "monsters"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+CREATE TABLE "monster_proficiencies" (
+  "id" serial,
+  "monster_index" varchar(100) NOT NULL,
+  "proficiency_index" varchar(100) NOT NULL,
+  "value" integer,
+  PRIMARY KEY ("id"),
+  UNIQUE ("monster_index", "proficiency_index")
+);
+
+CREATE TABLE "monster_condition_immunities" (
+  "id" serial,
+  "monster_index" varchar(100) NOT NULL,
+  "condition_index" varchar(100) NOT NULL,
+  PRIMARY KEY ("id"),
+  UNIQUE ("monster_index", "condition_index")
+);
+
+CREATE TABLE "monster_actions" (
+  "id" serial,
+  "monster_index" varchar(100) NOT NULL,
+  "action_type" varchar(20) NOT NULL,
+  "position" integer NOT NULL,
+  "name" varchar(255) NOT NULL,
+  "description" text,
+  "attack_bonus" integer,
+  "dc_type" varchar(10),
+  "dc_value" integer,
+  "dc_success" varchar(20),
+  "usage_type" varchar(50),
+  "usage_times" integer,
+  "usage_dice" varchar(20),
+  "usage_min_value" integer,
+  PRIMARY KEY ("id"),
+  UNIQUE ("monster_index", "action_type", "position")
+);
+
+CREATE INDEX "monster_action_name" ON "monster_actions" ("name");
+
+CREATE TABLE "monster_action_damage" (
+  "id" serial,
+  "monster_index" varchar(100) NOT NULL,
+  "action_id" integer NOT NULL,
+  "damage_type_index" varchar(100),
+  "damage_dice" varchar(50),
+  PRIMARY KEY ("id")
+);
+
+CREATE INDEX "monster_action_damage_action" ON "monster_action_damage" ("action_id");
+
+CREATE INDEX "monster_action_damage_type" ON "monster_action_damage" ("damage_type_index");
+
+CREATE TABLE "monster_senses" (
+  "id" serial,
+  "monster_index" varchar(100) NOT NULL,
+  "sense" varchar(50) NOT NULL,
+  "value" varchar(100),
+  "distance_ft" integer,
+  PRIMARY KEY ("id"),
+  UNIQUE ("monster_index", "sense")
+);
+
+CREATE TABLE "monster_speeds" (
+  "id" serial,
+  "monster_index" varchar(100) NOT NULL,
+  "movement" varchar(20) NOT NULL,
+  "value" varchar(100),
+  "distance_ft" integer,
+  PRIMARY KEY ("id"),
+  UNIQUE ("monster_index", "movement")
+);
+
+CREATE TABLE "monster_damage_relations" (
+  "id" serial,
+  "monster_index" varchar(100) NOT NULL,
+  "damage_type_index" varchar(100) NOT NULL,
+  "relation" varchar(20) NOT NULL,
+  "qualifier" varchar(255),
+  PRIMARY KEY ("id")
+);
+
+CREATE INDEX "monster_damage_relation_type" ON "monster_damage_relations" ("damage_type_index", "relation");
+
+-- -----------------------------------------------------
+-- Homebrew Tables
+-- Field-level overrides of synced records. Every sync writes these values over the
+-- upstream ones.
+-- -----------------------------------------------------
+
+CREATE TABLE "record_overrides" (
+  "id" serial,
+  "table_name" varchar(50) NOT NULL,
+  "record_index" varchar(100) NOT NULL,
+  "column_name" varchar(64) NOT NULL,
+  "value" text,
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("table_name", "record_index", "column_name")
+);
+
+CREATE TRIGGER "record_overrides_last_updated" BEFORE UPDATE ON "record_overrides"
+FOR EACH ROW EXECUTE FUNCTION "set_last_updated"();
+
+-- -----------------------------------------------------
+-- Synchronizer Bookkeeping Tables
+-- These tables are written by the server itself to track server-side sync jobs,
+-- every sync run, records that failed to sync and the schema migrations that
+-- have been applied.
+-- -----------------------------------------------------
+
+CREATE TABLE "sync_jobs" (
+  "id" serial,
+  "job_type" varchar(50) NOT NULL,
+  "status" varchar(20) NOT NULL,
+  "options" text,
+  "current_resource" varchar(50),
+  "error_message" text,
+  "created_at" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "started_at" timestamp,
+  "finished_at" timestamp,
+  PRIMARY KEY ("id")
+);
+
+CREATE TABLE "sync_job_steps" (
+  "id" serial,
+  "job_id" integer NOT NULL,
+  "step_order" integer NOT NULL,
+  "resource" varchar(50) NOT NULL,
+  "status" varchar(20) NOT NULL,
+  "message" text,
+  "records_processed" integer,
+  "started_at" timestamp,
+  "finished_at" timestamp,
+  PRIMARY KEY ("id"),
+  UNIQUE ("job_id", "step_order")
+);
+
+CREATE TABLE "sync_failures" (
+  "id" serial,
+  "resource" varchar(50) NOT NULL,
+  "record_index" varchar(100) NOT NULL,
+  "record_name" varchar(255),
+  "error_message" text,
+  "attempts" integer NOT NULL DEFAULT 1,
+  "first_failed_at" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "last_failed_at" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("id"),
+  UNIQUE ("resource", "record_index")
+);
+
+CREATE TABLE "sync_runs" (
+  "id" serial,
+  "resource" varchar(50) NOT NULL,
+  "status" varchar(20) NOT NULL,
+  "source" varchar(255),
+  "records_fetched" integer,
+  "records_inserted" integer,
+  "records_updated" integer,
+  "records_unchanged" integer,
+  "records_failed" integer,
+  "records_pruned" integer,
+  "message" text,
+  "error_message" text,
+  "started_at" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "finished_at" timestamp,
+  PRIMARY KEY ("id")
+);
+
+CREATE INDEX "sync_run_resource" ON "sync_runs" ("resource", "started_at");
+
+CREATE TABLE "schema_migrations" (
+  "version" integer NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "applied_at" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("version")
+);
+
+-- This file already contains every migration in PACK/migrations.
+INSERT INTO "schema_migrations" ("version", "name") VALUES
+  (1, 'initial_schema'),
+  (2, 'sync_jobs'),
+  (3, 'record_hashes'),
+  (4, 'subrace_language_options'),
+  (5, 'monster_details'),
+  (6, 'spell_details'),
+  (7, 'sync_failures'),
+  (8, 'sync_runs'),
+  (9, 'search_indexes'),
+  (10, 'homebrew'),
+  (11, 'monster_environments');
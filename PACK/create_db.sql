@@ -1,5 +1,5 @@
 -- D&D 5e Database Schema (Release 1.3 - Final Relational Version)
--- This file contains all the CREATE TABLE statements for the project.
+-- Generated from PACK/schema.js by `npm run schema`; edit that file, not this one.
 -- Run this script on your MySQL/MariaDB database to create all necessary tables.
 
 -- -----------------------------------------------------
@@ -12,6 +12,7 @@ CREATE TABLE `ability_scores` (
   `index` varchar(50) NOT NULL,
   `name` varchar(50) NOT NULL,
   `description` text,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
   UNIQUE KEY `index` (`index`)
@@ -23,6 +24,7 @@ CREATE TABLE `skills` (
   `name` varchar(50) NOT NULL,
   `description` text,
   `ability_score` varchar(50) DEFAULT NULL,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
   UNIQUE KEY `index` (`index`)
@@ -35,6 +37,7 @@ CREATE TABLE `languages` (
   `type` varchar(50) DEFAULT NULL,
   `typical_speakers` text,
   `script` varchar(50) DEFAULT NULL,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
   UNIQUE KEY `index` (`index`)
@@ -46,6 +49,7 @@ CREATE TABLE `alignments` (
   `name` varchar(50) NOT NULL,
   `abbreviation` varchar(10) NOT NULL,
   `description` text,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
   UNIQUE KEY `index` (`index`)
@@ -56,9 +60,11 @@ CREATE TABLE `rule_sections` (
   `index` varchar(100) NOT NULL,
   `name` varchar(100) NOT NULL,
   `description` text,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
-  UNIQUE KEY `index` (`index`)
+  UNIQUE KEY `index` (`index`),
+  FULLTEXT KEY `rule_sections_search` (`name`,`description`)
 );
 
 CREATE TABLE `rules` (
@@ -67,9 +73,11 @@ CREATE TABLE `rules` (
   `name` varchar(100) NOT NULL,
   `description` mediumtext,
   `rule_section_index` varchar(100) DEFAULT NULL,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
-  UNIQUE KEY `index` (`index`)
+  UNIQUE KEY `index` (`index`),
+  FULLTEXT KEY `rules_search` (`name`,`description`)
 );
 
 -- -----------------------------------------------------
@@ -91,6 +99,7 @@ CREATE TABLE `backgrounds` (
   `ideals` text,
   `bonds` text,
   `flaws` text,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
   UNIQUE KEY `index` (`index`)
@@ -102,6 +111,8 @@ CREATE TABLE `feats` (
   `name` varchar(100) NOT NULL,
   `prerequisites` text,
   `description` text,
+  `source` varchar(20) NOT NULL DEFAULT 'srd',
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
   UNIQUE KEY `index` (`index`)
@@ -118,6 +129,7 @@ CREATE TABLE `races` (
   `size` varchar(50) DEFAULT NULL,
   `size_description` text,
   `language_desc` text,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
   UNIQUE KEY `index` (`index`)
@@ -154,6 +166,7 @@ CREATE TABLE `subraces` (
   `race_index` varchar(100) DEFAULT NULL,
   `description` text,
   `ability_bonuses` text,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
   UNIQUE KEY `index` (`index`)
@@ -171,6 +184,7 @@ CREATE TABLE `subrace_languages` (
   `id` int(11) NOT NULL AUTO_INCREMENT,
   `subrace_index` varchar(100) NOT NULL,
   `language_index` varchar(100) NOT NULL,
+  `is_option` tinyint(1) NOT NULL DEFAULT 0,
   PRIMARY KEY (`id`),
   UNIQUE KEY `subrace_lang_unique` (`subrace_index`,`language_index`)
 );
@@ -191,6 +205,7 @@ CREATE TABLE `classes` (
   `saving_throws` text,
   `multi_classing` text,
   `spellcasting` text,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
   UNIQUE KEY `index` (`index`)
@@ -253,6 +268,7 @@ CREATE TABLE `subclasses` (
   `class_index` varchar(100) DEFAULT NULL,
   `subclass_flavor` text,
   `description` text,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
   UNIQUE KEY `index` (`index`)
@@ -284,9 +300,11 @@ CREATE TABLE `features` (
   `subclass` varchar(100) DEFAULT NULL,
   `level` int(11) DEFAULT NULL,
   `description` text,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
-  UNIQUE KEY `index` (`index`)
+  UNIQUE KEY `index` (`index`),
+  FULLTEXT KEY `features_search` (`name`,`description`)
 );
 
 CREATE TABLE `traits` (
@@ -294,9 +312,11 @@ CREATE TABLE `traits` (
   `index` varchar(100) NOT NULL,
   `name` varchar(100) NOT NULL,
   `description` text,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
-  UNIQUE KEY `index` (`index`)
+  UNIQUE KEY `index` (`index`),
+  FULLTEXT KEY `traits_search` (`name`,`description`)
 );
 
 CREATE TABLE `trait_races` (
@@ -329,6 +349,7 @@ CREATE TABLE `proficiencies` (
   `name` varchar(100) DEFAULT NULL,
   `type` varchar(100) DEFAULT NULL,
   `reference_index` varchar(100) DEFAULT NULL,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
   UNIQUE KEY `index` (`index`)
@@ -371,9 +392,22 @@ CREATE TABLE `spells` (
   `spell_level` int(11) DEFAULT NULL,
   `school_index` varchar(50) DEFAULT NULL,
   `damage` text,
+  `component_v` tinyint(1) NOT NULL DEFAULT 0,
+  `component_s` tinyint(1) NOT NULL DEFAULT 0,
+  `component_m` tinyint(1) NOT NULL DEFAULT 0,
+  `area_type` varchar(20) DEFAULT NULL,
+  `area_size` int(11) DEFAULT NULL,
+  `attack_type` varchar(20) DEFAULT NULL,
+  `damage_type_index` varchar(50) DEFAULT NULL,
+  `dc_type` varchar(10) DEFAULT NULL,
+  `dc_success` varchar(20) DEFAULT NULL,
+  `dc_desc` text,
+  `source` varchar(20) NOT NULL DEFAULT 'srd',
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
-  UNIQUE KEY `index` (`index`)
+  UNIQUE KEY `index` (`index`),
+  FULLTEXT KEY `spells_search` (`name`,`description`,`higher_level`)
 );
 
 CREATE TABLE `spell_classes` (
@@ -392,11 +426,23 @@ CREATE TABLE `spell_subclasses` (
   UNIQUE KEY `spell_subclass_unique` (`spell_index`,`subclass_index`)
 );
 
+CREATE TABLE `spell_scaling` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `spell_index` varchar(100) NOT NULL,
+  `effect` varchar(10) NOT NULL,
+  `scaling` varchar(10) NOT NULL,
+  `level` int(11) NOT NULL,
+  `dice` varchar(50) NOT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `spell_scaling_unique` (`spell_index`,`effect`,`scaling`,`level`)
+);
+
 CREATE TABLE `magic_schools` (
   `id` int(11) NOT NULL AUTO_INCREMENT,
   `index` varchar(50) NOT NULL,
   `name` varchar(50) DEFAULT NULL,
   `description` text,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
   UNIQUE KEY `index` (`index`)
@@ -407,6 +453,7 @@ CREATE TABLE `damage_types` (
   `index` varchar(50) NOT NULL,
   `name` varchar(50) NOT NULL,
   `description` text,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
   UNIQUE KEY `index` (`index`)
@@ -417,9 +464,11 @@ CREATE TABLE `conditions` (
   `index` varchar(50) NOT NULL,
   `name` varchar(50) NOT NULL,
   `description` text,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
-  UNIQUE KEY `index` (`index`)
+  UNIQUE KEY `index` (`index`),
+  FULLTEXT KEY `conditions_search` (`name`,`description`)
 );
 
 CREATE TABLE `weapon_properties` (
@@ -427,6 +476,7 @@ CREATE TABLE `weapon_properties` (
   `index` varchar(50) NOT NULL,
   `name` varchar(50) NOT NULL,
   `description` text,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
   UNIQUE KEY `index` (`index`)
@@ -460,6 +510,7 @@ CREATE TABLE `equipment` (
   `contents` text,
   `speed_info` text,
   `capacity` text,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
   UNIQUE KEY `index` (`index`)
@@ -469,6 +520,7 @@ CREATE TABLE `equipment_categories` (
   `id` int(11) NOT NULL AUTO_INCREMENT,
   `index` varchar(100) NOT NULL,
   `name` varchar(100) NOT NULL,
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
   UNIQUE KEY `index` (`index`)
@@ -481,9 +533,12 @@ CREATE TABLE `magic_items` (
   `equipment_category_index` varchar(100) DEFAULT NULL,
   `rarity_name` varchar(50) DEFAULT NULL,
   `description` text,
+  `source` varchar(20) NOT NULL DEFAULT 'srd',
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
-  UNIQUE KEY `index` (`index`)
+  UNIQUE KEY `index` (`index`),
+  FULLTEXT KEY `magic_items_search` (`name`,`description`)
 );
 
 CREATE TABLE `monsters` (
@@ -514,9 +569,13 @@ CREATE TABLE `monsters` (
   `special_abilities` text,
   `actions` text,
   `legendary_actions` text,
+  `environments` text,
+  `source` varchar(20) NOT NULL DEFAULT 'srd',
+  `record_hash` char(64) DEFAULT NULL,
   `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
-  UNIQUE KEY `index` (`index`)
+  UNIQUE KEY `index` (`index`),
+  FULLTEXT KEY `monsters_search` (`name`,`special_abilities`,`actions`,`legendary_actions`)
 );
 
 CREATE TABLE `monster_proficiencies` (
@@ -535,3 +594,168 @@ CREATE TABLE `monster_condition_immunities` (
   PRIMARY KEY (`id`),
   UNIQUE KEY `monster_cond_unique` (`monster_index`,`condition_index`)
 );
+
+CREATE TABLE `monster_actions` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `monster_index` varchar(100) NOT NULL,
+  `action_type` varchar(20) NOT NULL,
+  `position` int(11) NOT NULL,
+  `name` varchar(255) NOT NULL,
+  `description` text,
+  `attack_bonus` int(11) DEFAULT NULL,
+  `dc_type` varchar(10) DEFAULT NULL,
+  `dc_value` int(11) DEFAULT NULL,
+  `dc_success` varchar(20) DEFAULT NULL,
+  `usage_type` varchar(50) DEFAULT NULL,
+  `usage_times` int(11) DEFAULT NULL,
+  `usage_dice` varchar(20) DEFAULT NULL,
+  `usage_min_value` int(11) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `monster_action_unique` (`monster_index`,`action_type`,`position`),
+  KEY `monster_action_name` (`name`)
+);
+
+CREATE TABLE `monster_action_damage` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `monster_index` varchar(100) NOT NULL,
+  `action_id` int(11) NOT NULL,
+  `damage_type_index` varchar(100) DEFAULT NULL,
+  `damage_dice` varchar(50) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `monster_action_damage_action` (`action_id`),
+  KEY `monster_action_damage_type` (`damage_type_index`)
+);
+
+CREATE TABLE `monster_senses` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `monster_index` varchar(100) NOT NULL,
+  `sense` varchar(50) NOT NULL,
+  `value` varchar(100) DEFAULT NULL,
+  `distance_ft` int(11) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `monster_sense_unique` (`monster_index`,`sense`)
+);
+
+CREATE TABLE `monster_speeds` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `monster_index` varchar(100) NOT NULL,
+  `movement` varchar(20) NOT NULL,
+  `value` varchar(100) DEFAULT NULL,
+  `distance_ft` int(11) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `monster_speed_unique` (`monster_index`,`movement`)
+);
+
+CREATE TABLE `monster_damage_relations` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `monster_index` varchar(100) NOT NULL,
+  `damage_type_index` varchar(100) NOT NULL,
+  `relation` varchar(20) NOT NULL,
+  `qualifier` varchar(255) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `monster_damage_relation_type` (`damage_type_index`,`relation`)
+);
+
+-- -----------------------------------------------------
+-- Homebrew Tables
+-- Field-level overrides of synced records. Every sync writes these values over the
+-- upstream ones.
+-- -----------------------------------------------------
+
+CREATE TABLE `record_overrides` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `table_name` varchar(50) NOT NULL,
+  `record_index` varchar(100) NOT NULL,
+  `column_name` varchar(64) NOT NULL,
+  `value` text,
+  `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `record_override_field` (`table_name`,`record_index`,`column_name`)
+);
+
+-- -----------------------------------------------------
+-- Synchronizer Bookkeeping Tables
+-- These tables are written by the server itself to track server-side sync jobs,
+-- every sync run, records that failed to sync and the schema migrations that
+-- have been applied.
+-- -----------------------------------------------------
+
+CREATE TABLE `sync_jobs` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `job_type` varchar(50) NOT NULL,
+  `status` varchar(20) NOT NULL,
+  `options` text,
+  `current_resource` varchar(50) DEFAULT NULL,
+  `error_message` text,
+  `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `started_at` timestamp NULL DEFAULT NULL,
+  `finished_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`)
+);
+
+CREATE TABLE `sync_job_steps` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `job_id` int(11) NOT NULL,
+  `step_order` int(11) NOT NULL,
+  `resource` varchar(50) NOT NULL,
+  `status` varchar(20) NOT NULL,
+  `message` text,
+  `records_processed` int(11) DEFAULT NULL,
+  `started_at` timestamp NULL DEFAULT NULL,
+  `finished_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `job_step_unique` (`job_id`,`step_order`)
+);
+
+CREATE TABLE `sync_failures` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `resource` varchar(50) NOT NULL,
+  `record_index` varchar(100) NOT NULL,
+  `record_name` varchar(255) DEFAULT NULL,
+  `error_message` text,
+  `attempts` int(11) NOT NULL DEFAULT 1,
+  `first_failed_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `last_failed_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `sync_failure_record` (`resource`,`record_index`)
+);
+
+CREATE TABLE `sync_runs` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `resource` varchar(50) NOT NULL,
+  `status` varchar(20) NOT NULL,
+  `source` varchar(255) DEFAULT NULL,
+  `records_fetched` int(11) DEFAULT NULL,
+  `records_inserted` int(11) DEFAULT NULL,
+  `records_updated` int(11) DEFAULT NULL,
+  `records_unchanged` int(11) DEFAULT NULL,
+  `records_failed` int(11) DEFAULT NULL,
+  `records_pruned` int(11) DEFAULT NULL,
+  `message` text,
+  `error_message` text,
+  `started_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `finished_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `sync_run_resource` (`resource`,`started_at`)
+);
+
+CREATE TABLE `schema_migrations` (
+  `version` int(11) NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `applied_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`version`)
+);
+
+-- This file already contains every migration in PACK/migrations.
+INSERT INTO `schema_migrations` (`version`, `name`) VALUES
+  (1, 'initial_schema'),
+  (2, 'sync_jobs'),
+  (3, 'record_hashes'),
+  (4, 'subrace_language_options'),
+  (5, 'monster_details'),
+  (6, 'spell_details'),
+  (7, 'sync_failures'),
+  (8, 'sync_runs'),
+  (9, 'search_indexes'),
+  (10, 'homebrew'),
+  (11, 'monster_environments');
@@ -0,0 +1,995 @@
+-- D&D 5e Database Schema (Release 1.3 - Final Relational Version)
+-- Generated from PACK/schema.js by `npm run schema`; edit that file, not this one.
+-- Run this script on your SQLite database to create all necessary tables.
+
+-- -----------------------------------------------------
+-- Core Gameplay Tables
+-- These tables define the fundamental mechanics, rules, and concepts of the game.
+-- -----------------------------------------------------
+
+CREATE TABLE "ability_scores" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(50) NOT NULL,
+  "name" varchar(50) NOT NULL,
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "ability_scores_last_updated" AFTER UPDATE ON "ability_scores"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "ability_scores" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "skills" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(50) NOT NULL,
+  "name" varchar(50) NOT NULL,
+  "description" text,
+  "ability_score" varchar(50),
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "skills_last_updated" AFTER UPDATE ON "skills"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "skills" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "languages" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(50) NOT NULL,
+  "name" varchar(50) NOT NULL,
+  "type" varchar(50),
+  "typical_speakers" text,
+  "script" varchar(50),
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "languages_last_updated" AFTER UPDATE ON "languages"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "languages" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "alignments" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(50) NOT NULL,
+  "name" varchar(50) NOT NULL,
+  "abbreviation" varchar(10) NOT NULL,
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "alignments_last_updated" AFTER UPDATE ON "alignments"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "alignments" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "rule_sections" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE VIRTUAL TABLE "rule_sections_search" USING fts5("name", "description", content='rule_sections', content_rowid='id');
+
+CREATE TRIGGER "rule_sections_search_insert" AFTER INSERT ON "rule_sections"
+BEGIN
+  INSERT INTO "rule_sections_search" (rowid, "name", "description") VALUES (NEW.rowid, NEW."name", NEW."description");
+END;
+
+CREATE TRIGGER "rule_sections_search_delete" AFTER DELETE ON "rule_sections"
+BEGIN
+  INSERT INTO "rule_sections_search" ("rule_sections_search", rowid, "name", "description") VALUES ('delete', OLD.rowid, OLD."name", OLD."description");
+END;
+
+CREATE TRIGGER "rule_sections_search_update" AFTER UPDATE ON "rule_sections"
+BEGIN
+  INSERT INTO "rule_sections_search" ("rule_sections_search", rowid, "name", "description") VALUES ('delete', OLD.rowid, OLD."name", OLD."description");
+  INSERT INTO "rule_sections_search" (rowid, "name", "description") VALUES (NEW.rowid, NEW."name", NEW."description");
+END;
+
+CREATE TRIGGER "rule_sections_last_updated" AFTER UPDATE ON "rule_sections"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "rule_sections" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "rules" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "description" mediumtext,
+  "rule_section_index" varchar(100),
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE VIRTUAL TABLE "rules_search" USING fts5("name", "description", content='rules', content_rowid='id');
+
+CREATE TRIGGER "rules_search_insert" AFTER INSERT ON "rules"
+BEGIN
+  INSERT INTO "rules_search" (rowid, "name", "description") VALUES (NEW.rowid, NEW."name", NEW."description");
+END;
+
+CREATE TRIGGER "rules_search_delete" AFTER DELETE ON "rules"
+BEGIN
+  INSERT INTO "rules_search" ("rules_search", rowid, "name", "description") VALUES ('delete', OLD.rowid, OLD."name", OLD."description");
+END;
+
+CREATE TRIGGER "rules_search_update" AFTER UPDATE ON "rules"
+BEGIN
+  INSERT INTO "rules_search" ("rules_search", rowid, "name", "description") VALUES ('delete', OLD.rowid, OLD."name", OLD."description");
+  INSERT INTO "rules_search" (rowid, "name", "description") VALUES (NEW.rowid, NEW."name", NEW."description");
+END;
+
+CREATE TRIGGER "rules_last_updated" AFTER UPDATE ON "rules"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "rules" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+-- -----------------------------------------------------
+-- Character Build Tables
+-- These tables define the options available for character creation and progression,
+-- including races, classes, backgrounds, and the join tables that link them together.
+-- -----------------------------------------------------
+
+CREATE TABLE "backgrounds" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(50) NOT NULL,
+  "name" varchar(50) NOT NULL,
+  "starting_proficiencies" text,
+  "language_options" text,
+  "starting_equipment" text,
+  "feature_name" varchar(100),
+  "feature_desc" text,
+  "personality_traits" text,
+  "ideals" text,
+  "bonds" text,
+  "flaws" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "backgrounds_last_updated" AFTER UPDATE ON "backgrounds"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "backgrounds" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "feats" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "prerequisites" text,
+  "description" text,
+  "source" varchar(20) NOT NULL DEFAULT 'srd',
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "feats_last_updated" AFTER UPDATE ON "feats"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "feats" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "races" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "speed" int,
+  "ability_bonuses" text,
+  "alignment" text,
+  "age" text,
+  "size" varchar(50),
+  "size_description" text,
+  "language_desc" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "races_last_updated" AFTER UPDATE ON "races"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "races" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "race_proficiencies" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "race_index" varchar(100) NOT NULL,
+  "proficiency_index" varchar(100) NOT NULL,
+  UNIQUE ("race_index", "proficiency_index")
+);
+
+CREATE TABLE "race_languages" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "race_index" varchar(100) NOT NULL,
+  "language_index" varchar(100) NOT NULL,
+  UNIQUE ("race_index", "language_index")
+);
+
+CREATE TABLE "race_traits" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "race_index" varchar(100) NOT NULL,
+  "trait_index" varchar(100) NOT NULL,
+  UNIQUE ("race_index", "trait_index")
+);
+
+CREATE TABLE "subraces" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "race_index" varchar(100),
+  "description" text,
+  "ability_bonuses" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "subraces_last_updated" AFTER UPDATE ON "subraces"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "subraces" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "subrace_proficiencies" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "subrace_index" varchar(100) NOT NULL,
+  "proficiency_index" varchar(100) NOT NULL,
+  UNIQUE ("subrace_index", "proficiency_index")
+);
+
+CREATE TABLE "subrace_languages" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "subrace_index" varchar(100) NOT NULL,
+  "language_index" varchar(100) NOT NULL,
+  "is_option" tinyint(1) NOT NULL DEFAULT 0,
+  UNIQUE ("subrace_index", "language_index")
+);
+
+CREATE TABLE "subrace_traits" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "subrace_index" varchar(100) NOT NULL,
+  "trait_index" varchar(100) NOT NULL,
+  UNIQUE ("subrace_index", "trait_index")
+);
+
+CREATE TABLE "classes" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "hit_die" int,
+  "saving_throws" text,
+  "multi_classing" text,
+  "spellcasting" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "classes_last_updated" AFTER UPDATE ON "classes"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "classes" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "class_levels" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "class_index" varchar(100),
+  "level" int,
+  "ability_score_bonuses" int,
+  "prof_bonus" int,
+  "features" text,
+  "class_specific" text,
+  UNIQUE ("class_index", "level")
+);
+
+CREATE TABLE "class_spells" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "class_index" varchar(100),
+  "spell_index" varchar(100),
+  "level_acquired" int,
+  UNIQUE ("class_index", "spell_index")
+);
+
+CREATE TABLE "class_proficiency_choices" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "class_index" varchar(100),
+  "choice_index" int,
+  "description" text,
+  "choose" int,
+  "type" varchar(100),
+  "options" text
+);
+
+CREATE TABLE "class_starting_equipment" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "class_index" varchar(100),
+  "equipment_index" varchar(100),
+  "quantity" int
+);
+
+CREATE TABLE "class_starting_equipment_options" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "class_index" varchar(100),
+  "choice_index" int,
+  "description" text,
+  "choose" int,
+  "options" text
+);
+
+CREATE TABLE "subclasses" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "class_index" varchar(100),
+  "subclass_flavor" text,
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "subclasses_last_updated" AFTER UPDATE ON "subclasses"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "subclasses" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "subclass_levels" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "subclass_index" varchar(100),
+  "level" int,
+  "features" text,
+  UNIQUE ("subclass_index", "level")
+);
+
+CREATE TABLE "subclass_spells" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "subclass_index" varchar(100),
+  "spell_index" varchar(100),
+  "prerequisites" text,
+  UNIQUE ("subclass_index", "spell_index")
+);
+
+CREATE TABLE "features" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "class" varchar(100),
+  "subclass" varchar(100),
+  "level" int,
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE VIRTUAL TABLE "features_search" USING fts5("name", "description", content='features', content_rowid='id');
+
+CREATE TRIGGER "features_search_insert" AFTER INSERT ON "features"
+BEGIN
+  INSERT INTO "features_search" (rowid, "name", "description") VALUES (NEW.rowid, NEW."name", NEW."description");
+END;
+
+CREATE TRIGGER "features_search_delete" AFTER DELETE ON "features"
+BEGIN
+  INSERT INTO "features_search" ("features_search", rowid, "name", "description") VALUES ('delete', OLD.rowid, OLD."name", OLD."description");
+END;
+
+CREATE TRIGGER "features_search_update" AFTER UPDATE ON "features"
+BEGIN
+  INSERT INTO "features_search" ("features_search", rowid, "name", "description") VALUES ('delete', OLD.rowid, OLD."name", OLD."description");
+  INSERT INTO "features_search" (rowid, "name", "description") VALUES (NEW.rowid, NEW."name", NEW."description");
+END;
+
+CREATE TRIGGER "features_last_updated" AFTER UPDATE ON "features"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "features" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "traits" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE VIRTUAL TABLE "traits_search" USING fts5("name", "description", content='traits', content_rowid='id');
+
+CREATE TRIGGER "traits_search_insert" AFTER INSERT ON "traits"
+BEGIN
+  INSERT INTO "traits_search" (rowid, "name", "description") VALUES (NEW.rowid, NEW."name", NEW."description");
+END;
+
+CREATE TRIGGER "traits_search_delete" AFTER DELETE ON "traits"
+BEGIN
+  INSERT INTO "traits_search" ("traits_search", rowid, "name", "description") VALUES ('delete', OLD.rowid, OLD."name", OLD."description");
+END;
+
+CREATE TRIGGER "traits_search_update" AFTER UPDATE ON "traits"
+BEGIN
+  INSERT INTO "traits_search" ("traits_search", rowid, "name", "description") VALUES ('delete', OLD.rowid, OLD."name", OLD."description");
+  INSERT INTO "traits_search" (rowid, "name", "description") VALUES (NEW.rowid, NEW."name", NEW."description");
+END;
+
+CREATE TRIGGER "traits_last_updated" AFTER UPDATE ON "traits"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "traits" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "trait_races" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "trait_index" varchar(100) NOT NULL,
+  "race_index" varchar(100) NOT NULL,
+  UNIQUE ("trait_index", "race_index")
+);
+
+CREATE TABLE "trait_subraces" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "trait_index" varchar(100) NOT NULL,
+  "subrace_index" varchar(100) NOT NULL,
+  UNIQUE ("trait_index", "subrace_index")
+);
+
+CREATE TABLE "trait_proficiencies" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "trait_index" varchar(100) NOT NULL,
+  "proficiency_index" varchar(100) NOT NULL,
+  UNIQUE ("trait_index", "proficiency_index")
+);
+
+CREATE TABLE "proficiencies" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100),
+  "type" varchar(100),
+  "reference_index" varchar(100),
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "proficiencies_last_updated" AFTER UPDATE ON "proficiencies"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "proficiencies" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "proficiency_classes" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "proficiency_index" varchar(100) NOT NULL,
+  "class_index" varchar(100) NOT NULL,
+  UNIQUE ("proficiency_index", "class_index")
+);
+
+CREATE TABLE "proficiency_races" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "proficiency_index" varchar(100) NOT NULL,
+  "race_index" varchar(100) NOT NULL,
+  UNIQUE ("proficiency_index", "race_index")
+);
+
+-- -----------------------------------------------------
+-- Magic & Combat Tables
+-- These tables define spells, combat rules, item properties, and status effects.
+-- -----------------------------------------------------
+
+CREATE TABLE "spells" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "description" text,
+  "higher_level" text,
+  "spell_range" varchar(100),
+  "components" varchar(50),
+  "material" text,
+  "ritual" tinyint(1),
+  "duration" varchar(100),
+  "concentration" tinyint(1),
+  "casting_time" varchar(100),
+  "spell_level" int,
+  "school_index" varchar(50),
+  "damage" text,
+  "component_v" tinyint(1) NOT NULL DEFAULT 0,
+  "component_s" tinyint(1) NOT NULL DEFAULT 0,
+  "component_m" tinyint(1) NOT NULL DEFAULT 0,
+  "area_type" varchar(20),
+  "area_size" int,
+  "attack_type" varchar(20),
+  "damage_type_index" varchar(50),
+  "dc_type" varchar(10),
+  "dc_success" varchar(20),
+  "dc_desc" text,
+  "source" varchar(20) NOT NULL DEFAULT 'srd',
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE VIRTUAL TABLE "spells_search" USING fts5("name", "description", "higher_level", content='spells', content_rowid='id');
+
+CREATE TRIGGER "spells_search_insert" AFTER INSERT ON "spells"
+BEGIN
+  INSERT INTO "spells_search" (rowid, "name", "description", "higher_level") VALUES (NEW.rowid, NEW."name", NEW."description", NEW."higher_level");
+END;
+
+CREATE TRIGGER "spells_search_delete" AFTER DELETE ON "spells"
+BEGIN
+  INSERT INTO "spells_search" ("spells_search", rowid, "name", "description", "higher_level") VALUES ('delete', OLD.rowid, OLD."name", OLD."description", OLD."higher_level");
+END;
+
+CREATE TRIGGER "spells_search_update" AFTER UPDATE ON "spells"
+BEGIN
+  INSERT INTO "spells_search" ("spells_search", rowid, "name", "description", "higher_level") VALUES ('delete', OLD.rowid, OLD."name", OLD."description", OLD."higher_level");
+  INSERT INTO "spells_search" (rowid, "name", "description", "higher_level") VALUES (NEW.rowid, NEW."name", NEW."description", NEW."higher_level");
+END;
+
+CREATE TRIGGER "spells_last_updated" AFTER UPDATE ON "spells"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "spells" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "spell_classes" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "spell_index" varchar(100) NOT NULL,
+  "class_index" varchar(100) NOT NULL,
+  UNIQUE ("spell_index", "class_index")
+);
+
+CREATE TABLE "spell_subclasses" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "spell_index" varchar(100) NOT NULL,
+  "subclass_index" varchar(100) NOT NULL,
+  UNIQUE ("spell_index", "subclass_index")
+);
+
+CREATE TABLE "spell_scaling" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "spell_index" varchar(100) NOT NULL,
+  "effect" varchar(10) NOT NULL,
+  "scaling" varchar(10) NOT NULL,
+  "level" int NOT NULL,
+  "dice" varchar(50) NOT NULL,
+  UNIQUE ("spell_index", "effect", "scaling", "level")
+);
+
+CREATE TABLE "magic_schools" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(50) NOT NULL,
+  "name" varchar(50),
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "magic_schools_last_updated" AFTER UPDATE ON "magic_schools"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "magic_schools" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "damage_types" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(50) NOT NULL,
+  "name" varchar(50) NOT NULL,
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "damage_types_last_updated" AFTER UPDATE ON "damage_types"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "damage_types" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "conditions" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(50) NOT NULL,
+  "name" varchar(50) NOT NULL,
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE VIRTUAL TABLE "conditions_search" USING fts5("name", "description", content='conditions', content_rowid='id');
+
+CREATE TRIGGER "conditions_search_insert" AFTER INSERT ON "conditions"
+BEGIN
+  INSERT INTO "conditions_search" (rowid, "name", "description") VALUES (NEW.rowid, NEW."name", NEW."description");
+END;
+
+CREATE TRIGGER "conditions_search_delete" AFTER DELETE ON "conditions"
+BEGIN
+  INSERT INTO "conditions_search" ("conditions_search", rowid, "name", "description") VALUES ('delete', OLD.rowid, OLD."name", OLD."description");
+END;
+
+CREATE TRIGGER "conditions_search_update" AFTER UPDATE ON "conditions"
+BEGIN
+  INSERT INTO "conditions_search" ("conditions_search", rowid, "name", "description") VALUES ('delete', OLD.rowid, OLD."name", OLD."description");
+  INSERT INTO "conditions_search" (rowid, "name", "description") VALUES (NEW.rowid, NEW."name", NEW."description");
+END;
+
+CREATE TRIGGER "conditions_last_updated" AFTER UPDATE ON "conditions"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "conditions" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "weapon_properties" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(50) NOT NULL,
+  "name" varchar(50) NOT NULL,
+  "description" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "weapon_properties_last_updated" AFTER UPDATE ON "weapon_properties"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "weapon_properties" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+-- -----------------------------------------------------
+-- Equipment & Monster Tables
+-- These tables define all items, gear, and creatures in the game.
+-- -----------------------------------------------------
+
+CREATE TABLE "equipment" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "equipment_category_index" varchar(100),
+  "gear_category" varchar(100),
+  "cost" varchar(50),
+  "weight" float,
+  "description" text,
+  "weapon_category" varchar(100),
+  "weapon_range" varchar(50),
+  "category_range" varchar(100),
+  "damage" text,
+  "two_handed_damage" text,
+  "range_info" text,
+  "properties" text,
+  "armor_category" varchar(100),
+  "armor_class" text,
+  "str_minimum" int,
+  "stealth_disadvantage" tinyint(1),
+  "contents" text,
+  "speed_info" text,
+  "capacity" text,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "equipment_last_updated" AFTER UPDATE ON "equipment"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "equipment" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "equipment_categories" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE TRIGGER "equipment_categories_last_updated" AFTER UPDATE ON "equipment_categories"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "equipment_categories" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "magic_items" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "equipment_category_index" varchar(100),
+  "rarity_name" varchar(50),
+  "description" text,
+  "source" varchar(20) NOT NULL DEFAULT 'srd',
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE VIRTUAL TABLE "magic_items_search" USING fts5("name", "description", content='magic_items', content_rowid='id');
+
+CREATE TRIGGER "magic_items_search_insert" AFTER INSERT ON "magic_items"
+BEGIN
+  INSERT INTO "magic_items_search" (rowid, "name", "description") VALUES (NEW.rowid, NEW."name", NEW."description");
+END;
+
+CREATE TRIGGER "magic_items_search_delete" AFTER DELETE ON "magic_items"
+BEGIN
+  INSERT INTO "magic_items_search" ("magic_items_search", rowid, "name", "description") VALUES ('delete', OLD.rowid, OLD."name", OLD."description");
+END;
+
+CREATE TRIGGER "magic_items_search_update" AFTER UPDATE ON "magic_items"
+BEGIN
+  INSERT INTO "magic_items_search" ("magic_items_search", rowid, "name", "description") VALUES ('delete', OLD.rowid, OLD."name", OLD."description");
+  INSERT INTO "magic_items_search" (rowid, "name", "description") VALUES (NEW.rowid, NEW."name", NEW."description");
+END;
+
+CREATE TRIGGER "magic_items_last_updated" AFTER UPDATE ON "magic_items"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "magic_items" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "monsters" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "index" varchar(100) NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "size" varchar(50),
+  "type" varchar(50),
+  "subtype" varchar(50),
+  "alignment" varchar(100),
+  "armor_class" text,
+  "hit_points" int,
+  "hit_dice" varchar(50),
+  "speed" text,
+  "strength" int,
+  "dexterity" int,
+  "constitution" int,
+  "intelligence" int,
+  "wisdom" int,
+  "charisma" int,
+  "damage_vulnerabilities" text,
+  "damage_resistances" text,
+  "damage_immunities" text,
+  "senses" text,
+  "languages" varchar(255),
+  "challenge_rating" float,
+  "xp" int,
+  "special_abilities" text,
+  "actions" text,
+  "legendary_actions" text,
+  "environments" text,
+  "source" varchar(20) NOT NULL DEFAULT 'srd',
+  "record_hash" char(64),
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("index")
+);
+
+CREATE VIRTUAL TABLE "monsters_search" USING fts5("name", "special_abilities", "actions", "legendary_actions", content='monsters', content_rowid='id');
+
+CREATE TRIGGER "monsters_search_insert" AFTER INSERT ON "monsters"
+BEGIN
+  INSERT INTO "monsters_search" (rowid, "name", "special_abilities", "actions", "legendary_actions") VALUES (NEW.rowid, NEW."name", NEW."special_abilities", NEW."actions", NEW."legendary_actions");
+END;
+
+CREATE TRIGGER "monsters_search_delete" AFTER DELETE ON "monsters"
+BEGIN
+  INSERT INTO "monsters_search" ("monsters_search", rowid, "name", "special_abilities", "actions", "legendary_actions") VALUES ('delete', OLD.rowid, OLD."name", OLD."special_abilities", OLD."actions", OLD."legendary_actions");
+END;
+
+CREATE TRIGGER "monsters_search_update" AFTER UPDATE ON "monsters"
+BEGIN
+  INSERT INTO "monsters_search" ("monsters_search", rowid, "name", "special_abilities", "actions", "legendary_actions") VALUES ('delete', OLD.rowid, OLD."name", OLD."special_abilities", OLD."actions", OLD."legendary_actions");
+  INSERT INTO "monsters_search" (rowid, "name", "special_abilities", "actions", "legendary_actions") VALUES (NEW.rowid, NEW."name", NEW."special_abilities", NEW."actions", NEW."legendary_actions");
+END;
+
+CREATE TRIGGER "monsters_last_updated" AFTER UPDATE ON "monsters"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "monsters" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+CREATE TABLE "monster_proficiencies" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "monster_index" varchar(100) NOT NULL,
+  "proficiency_index" varchar(100) NOT NULL,
+  "value" int,
+  UNIQUE ("monster_index", "proficiency_index")
+);
+
+CREATE TABLE "monster_condition_immunities" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "monster_index" varchar(100) NOT NULL,
+  "condition_index" varchar(100) NOT NULL,
+  UNIQUE ("monster_index", "condition_index")
+);
+
+CREATE TABLE "monster_actions" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "monster_index" varchar(100) NOT NULL,
+  "action_type" varchar(20) NOT NULL,
+  "position" int NOT NULL,
+  "name" varchar(255) NOT NULL,
+  "description" text,
+  "attack_bonus" int,
+  "dc_type" varchar(10),
+  "dc_value" int,
+  "dc_success" varchar(20),
+  "usage_type" varchar(50),
+  "usage_times" int,
+  "usage_dice" varchar(20),
+  "usage_min_value" int,
+  UNIQUE ("monster_index", "action_type", "position")
+);
+
+CREATE INDEX "monster_action_name" ON "monster_actions" ("name");
+
+CREATE TABLE "monster_action_damage" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "monster_index" varchar(100) NOT NULL,
+  "action_id" int NOT NULL,
+  "damage_type_index" varchar(100),
+  "damage_dice" varchar(50)
+);
+
+CREATE INDEX "monster_action_damage_action" ON "monster_action_damage" ("action_id");
+
+CREATE INDEX "monster_action_damage_type" ON "monster_action_damage" ("damage_type_index");
+
+CREATE TABLE "monster_senses" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "monster_index" varchar(100) NOT NULL,
+  "sense" varchar(50) NOT NULL,
+  "value" varchar(100),
+  "distance_ft" int,
+  UNIQUE ("monster_index", "sense")
+);
+
+CREATE TABLE "monster_speeds" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "monster_index" varchar(100) NOT NULL,
+  "movement" varchar(20) NOT NULL,
+  "value" varchar(100),
+  "distance_ft" int,
+  UNIQUE ("monster_index", "movement")
+);
+
+CREATE TABLE "monster_damage_relations" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "monster_index" varchar(100) NOT NULL,
+  "damage_type_index" varchar(100) NOT NULL,
+  "relation" varchar(20) NOT NULL,
+  "qualifier" varchar(255)
+);
+
+CREATE INDEX "monster_damage_relation_type" ON "monster_damage_relations" ("damage_type_index", "relation");
+
+-- -----------------------------------------------------
+-- Homebrew Tables
+-- Field-level overrides of synced records. Every sync writes these values over the
+-- upstream ones.
+-- -----------------------------------------------------
+
+CREATE TABLE "record_overrides" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "table_name" varchar(50) NOT NULL,
+  "record_index" varchar(100) NOT NULL,
+  "column_name" varchar(64) NOT NULL,
+  "value" text,
+  "last_updated" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("table_name", "record_index", "column_name")
+);
+
+CREATE TRIGGER "record_overrides_last_updated" AFTER UPDATE ON "record_overrides"
+FOR EACH ROW WHEN NEW."last_updated" IS OLD."last_updated"
+BEGIN
+  UPDATE "record_overrides" SET "last_updated" = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+-- -----------------------------------------------------
+-- Synchronizer Bookkeeping Tables
+-- These tables are written by the server itself to track server-side sync jobs,
+-- every sync run, records that failed to sync and the schema migrations that
+-- have been applied.
+-- -----------------------------------------------------
+
+CREATE TABLE "sync_jobs" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "job_type" varchar(50) NOT NULL,
+  "status" varchar(20) NOT NULL,
+  "options" text,
+  "current_resource" varchar(50),
+  "error_message" text,
+  "created_at" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "started_at" timestamp,
+  "finished_at" timestamp
+);
+
+CREATE TABLE "sync_job_steps" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "job_id" int NOT NULL,
+  "step_order" int NOT NULL,
+  "resource" varchar(50) NOT NULL,
+  "status" varchar(20) NOT NULL,
+  "message" text,
+  "records_processed" int,
+  "started_at" timestamp,
+  "finished_at" timestamp,
+  UNIQUE ("job_id", "step_order")
+);
+
+CREATE TABLE "sync_failures" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "resource" varchar(50) NOT NULL,
+  "record_index" varchar(100) NOT NULL,
+  "record_name" varchar(255),
+  "error_message" text,
+  "attempts" int NOT NULL DEFAULT 1,
+  "first_failed_at" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "last_failed_at" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("resource", "record_index")
+);
+
+CREATE TABLE "sync_runs" (
+  "id" integer PRIMARY KEY AUTOINCREMENT,
+  "resource" varchar(50) NOT NULL,
+  "status" varchar(20) NOT NULL,
+  "source" varchar(255),
+  "records_fetched" int,
+  "records_inserted" int,
+  "records_updated" int,
+  "records_unchanged" int,
+  "records_failed" int,
+  "records_pruned" int,
+  "message" text,
+  "error_message" text,
+  "started_at" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "finished_at" timestamp
+);
+
+CREATE INDEX "sync_run_resource" ON "sync_runs" ("resource", "started_at");
+
+CREATE TABLE "schema_migrations" (
+  "version" int NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "applied_at" timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("version")
+);
+
+-- This file already contains every migration in PACK/migrations.
+INSERT INTO "schema_migrations" ("version", "name") VALUES
+  (1, 'initial_schema'),
+  (2, 'sync_jobs'),
+  (3, 'record_hashes'),
+  (4, 'subrace_language_options'),
+  (5, 'monster_details'),
+  (6, 'spell_details'),
+  (7, 'sync_failures'),
+  (8, 'sync_runs'),
+  (9, 'search_indexes'),
+  (10, 'homebrew'),
+  (11, 'monster_environments');
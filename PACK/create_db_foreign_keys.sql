@@ -0,0 +1,76 @@
+-- D&D 5e Database Schema - Optional Foreign Keys
+-- Run this script after create_db.sql to have MySQL enforce the links between tables.
+-- Every table must use the InnoDB engine (the MySQL default).
+--
+-- Join-table rows are deleted together with the record that owns them (ON DELETE CASCADE).
+-- A record that other tables still point at cannot be deleted, so clear or prune the
+-- referencing tables first.
+--
+-- A few join tables are filled by the sync of a resource that runs before the resource
+-- they point at (for example, `proficiencies` syncs `proficiency_races` before `races`
+-- exists). Those columns are not constrained; use GET /integrity-check to find dangling
+-- values in them:
+--   trait_races.race_index, trait_subraces.subrace_index, proficiency_classes.class_index,
+--   proficiency_races.race_index, spell_classes.class_index, spell_subclasses.subclass_index,
+--   subclasses.class_index
+
+-- -----------------------------------------------------
+-- Join and child rows owned by a record
+-- -----------------------------------------------------
+
+ALTER TABLE `race_proficiencies` ADD CONSTRAINT `fk_race_proficiencies_race_index` FOREIGN KEY (`race_index`) REFERENCES `races` (`index`) ON DELETE CASCADE;
+ALTER TABLE `race_languages` ADD CONSTRAINT `fk_race_languages_race_index` FOREIGN KEY (`race_index`) REFERENCES `races` (`index`) ON DELETE CASCADE;
+ALTER TABLE `race_traits` ADD CONSTRAINT `fk_race_traits_race_index` FOREIGN KEY (`race_index`) REFERENCES `races` (`index`) ON DELETE CASCADE;
+ALTER TABLE `subrace_proficiencies` ADD CONSTRAINT `fk_subrace_proficiencies_subrace_index` FOREIGN KEY (`subrace_index`) REFERENCES `subraces` (`index`) ON DELETE CASCADE;
+ALTER TABLE `subrace_languages` ADD CONSTRAINT `fk_subrace_languages_subrace_index` FOREIGN KEY (`subrace_index`) REFERENCES `subraces` (`index`) ON DELETE CASCADE;
+ALTER TABLE `subrace_traits` ADD CONSTRAINT `fk_subrace_traits_subrace_index` FOREIGN KEY (`subrace_index`) REFERENCES `subraces` (`index`) ON DELETE CASCADE;
+ALTER TABLE `class_levels` ADD CONSTRAINT `fk_class_levels_class_index` FOREIGN KEY (`class_index`) REFERENCES `classes` (`index`) ON DELETE CASCADE;
+ALTER TABLE `class_spells` ADD CONSTRAINT `fk_class_spells_class_index` FOREIGN KEY (`class_index`) REFERENCES `classes` (`index`) ON DELETE CASCADE;
+ALTER TABLE `class_proficiency_choices` ADD CONSTRAINT `fk_class_proficiency_choices_class_index` FOREIGN KEY (`class_index`) REFERENCES `classes` (`index`) ON DELETE CASCADE;
+ALTER TABLE `class_starting_equipment` ADD CONSTRAINT `fk_class_starting_equipment_class_index` FOREIGN KEY (`class_index`) REFERENCES `classes` (`index`) ON DELETE CASCADE;
+ALTER TABLE `class_starting_equipment_options` ADD CONSTRAINT `fk_class_starting_equipment_options_class_index` FOREIGN KEY (`class_index`) REFERENCES `classes` (`index`) ON DELETE CASCADE;
+ALTER TABLE `subclass_levels` ADD CONSTRAINT `fk_subclass_levels_subclass_index` FOREIGN KEY (`subclass_index`) REFERENCES `subclasses` (`index`) ON DELETE CASCADE;
+ALTER TABLE `subclass_spells` ADD CONSTRAINT `fk_subclass_spells_subclass_index` FOREIGN KEY (`subclass_index`) REFERENCES `subclasses` (`index`) ON DELETE CASCADE;
+ALTER TABLE `trait_races` ADD CONSTRAINT `fk_trait_races_trait_index` FOREIGN KEY (`trait_index`) REFERENCES `traits` (`index`) ON DELETE CASCADE;
+ALTER TABLE `trait_subraces` ADD CONSTRAINT `fk_trait_subraces_trait_index` FOREIGN KEY (`trait_index`) REFERENCES `traits` (`index`) ON DELETE CASCADE;
+ALTER TABLE `trait_proficiencies` ADD CONSTRAINT `fk_trait_proficiencies_trait_index` FOREIGN KEY (`trait_index`) REFERENCES `traits` (`index`) ON DELETE CASCADE;
+ALTER TABLE `proficiency_classes` ADD CONSTRAINT `fk_proficiency_classes_proficiency_index` FOREIGN KEY (`proficiency_index`) REFERENCES `proficiencies` (`index`) ON DELETE CASCADE;
+ALTER TABLE `proficiency_races` ADD CONSTRAINT `fk_proficiency_races_proficiency_index` FOREIGN KEY (`proficiency_index`) REFERENCES `proficiencies` (`index`) ON DELETE CASCADE;
+ALTER TABLE `spell_classes` ADD CONSTRAINT `fk_spell_classes_spell_index` FOREIGN KEY (`spell_index`) REFERENCES `spells` (`index`) ON DELETE CASCADE;
+ALTER TABLE `spell_subclasses` ADD CONSTRAINT `fk_spell_subclasses_spell_index` FOREIGN KEY (`spell_index`) REFERENCES `spells` (`index`) ON DELETE CASCADE;
+ALTER TABLE `spell_scaling` ADD CONSTRAINT `fk_spell_scaling_spell_index` FOREIGN KEY (`spell_index`) REFERENCES `spells` (`index`) ON DELETE CASCADE;
+ALTER TABLE `monster_proficiencies` ADD CONSTRAINT `fk_monster_proficiencies_monster_index` FOREIGN KEY (`monster_index`) REFERENCES `monsters` (`index`) ON DELETE CASCADE;
+ALTER TABLE `monster_condition_immunities` ADD CONSTRAINT `fk_monster_condition_immunities_monster_index` FOREIGN KEY (`monster_index`) REFERENCES `monsters` (`index`) ON DELETE CASCADE;
+ALTER TABLE `monster_actions` ADD CONSTRAINT `fk_monster_actions_monster_index` FOREIGN KEY (`monster_index`) REFERENCES `monsters` (`index`) ON DELETE CASCADE;
+ALTER TABLE `monster_action_damage` ADD CONSTRAINT `fk_monster_action_damage_monster_index` FOREIGN KEY (`monster_index`) REFERENCES `monsters` (`index`) ON DELETE CASCADE;
+ALTER TABLE `monster_senses` ADD CONSTRAINT `fk_monster_senses_monster_index` FOREIGN KEY (`monster_index`) REFERENCES `monsters` (`index`) ON DELETE CASCADE;
+ALTER TABLE `monster_speeds` ADD CONSTRAINT `fk_monster_speeds_monster_index` FOREIGN KEY (`monster_index`) REFERENCES `monsters` (`index`) ON DELETE CASCADE;
+ALTER TABLE `monster_damage_relations` ADD CONSTRAINT `fk_monster_damage_relations_monster_index` FOREIGN KEY (`monster_index`) REFERENCES `monsters` (`index`) ON DELETE CASCADE;
+ALTER TABLE `monster_action_damage` ADD CONSTRAINT `fk_monster_action_damage_action_id` FOREIGN KEY (`action_id`) REFERENCES `monster_actions` (`id`) ON DELETE CASCADE;
+
+-- -----------------------------------------------------
+-- References to records synced earlier
+-- -----------------------------------------------------
+
+ALTER TABLE `race_proficiencies` ADD CONSTRAINT `fk_race_proficiencies_proficiency_index` FOREIGN KEY (`proficiency_index`) REFERENCES `proficiencies` (`index`);
+ALTER TABLE `race_languages` ADD CONSTRAINT `fk_race_languages_language_index` FOREIGN KEY (`language_index`) REFERENCES `languages` (`index`);
+ALTER TABLE `race_traits` ADD CONSTRAINT `fk_race_traits_trait_index` FOREIGN KEY (`trait_index`) REFERENCES `traits` (`index`);
+ALTER TABLE `subrace_proficiencies` ADD CONSTRAINT `fk_subrace_proficiencies_proficiency_index` FOREIGN KEY (`proficiency_index`) REFERENCES `proficiencies` (`index`);
+ALTER TABLE `subrace_languages` ADD CONSTRAINT `fk_subrace_languages_language_index` FOREIGN KEY (`language_index`) REFERENCES `languages` (`index`);
+ALTER TABLE `subrace_traits` ADD CONSTRAINT `fk_subrace_traits_trait_index` FOREIGN KEY (`trait_index`) REFERENCES `traits` (`index`);
+ALTER TABLE `class_spells` ADD CONSTRAINT `fk_class_spells_spell_index` FOREIGN KEY (`spell_index`) REFERENCES `spells` (`index`);
+ALTER TABLE `class_starting_equipment` ADD CONSTRAINT `fk_class_starting_equipment_equipment_index` FOREIGN KEY (`equipment_index`) REFERENCES `equipment` (`index`);
+ALTER TABLE `subclass_spells` ADD CONSTRAINT `fk_subclass_spells_spell_index` FOREIGN KEY (`spell_index`) REFERENCES `spells` (`index`);
+ALTER TABLE `trait_proficiencies` ADD CONSTRAINT `fk_trait_proficiencies_proficiency_index` FOREIGN KEY (`proficiency_index`) REFERENCES `proficiencies` (`index`);
+ALTER TABLE `monster_proficiencies` ADD CONSTRAINT `fk_monster_proficiencies_proficiency_index` FOREIGN KEY (`proficiency_index`) REFERENCES `proficiencies` (`index`);
+ALTER TABLE `monster_condition_immunities` ADD CONSTRAINT `fk_monster_condition_immunities_condition_index` FOREIGN KEY (`condition_index`) REFERENCES `conditions` (`index`);
+ALTER TABLE `monster_actions` ADD CONSTRAINT `fk_monster_actions_dc_type` FOREIGN KEY (`dc_type`) REFERENCES `ability_scores` (`index`);
+ALTER TABLE `monster_action_damage` ADD CONSTRAINT `fk_monster_action_damage_damage_type_index` FOREIGN KEY (`damage_type_index`) REFERENCES `damage_types` (`index`);
+ALTER TABLE `monster_damage_relations` ADD CONSTRAINT `fk_monster_damage_relations_damage_type_index` FOREIGN KEY (`damage_type_index`) REFERENCES `damage_types` (`index`);
+ALTER TABLE `subraces` ADD CONSTRAINT `fk_subraces_race_index` FOREIGN KEY (`race_index`) REFERENCES `races` (`index`);
+ALTER TABLE `rules` ADD CONSTRAINT `fk_rules_rule_section_index` FOREIGN KEY (`rule_section_index`) REFERENCES `rule_sections` (`index`);
+ALTER TABLE `spells` ADD CONSTRAINT `fk_spells_school_index` FOREIGN KEY (`school_index`) REFERENCES `magic_schools` (`index`);
+ALTER TABLE `spells` ADD CONSTRAINT `fk_spells_damage_type_index` FOREIGN KEY (`damage_type_index`) REFERENCES `damage_types` (`index`);
+ALTER TABLE `spells` ADD CONSTRAINT `fk_spells_dc_type` FOREIGN KEY (`dc_type`) REFERENCES `ability_scores` (`index`);
+ALTER TABLE `equipment` ADD CONSTRAINT `fk_equipment_equipment_category_index` FOREIGN KEY (`equipment_category_index`) REFERENCES `equipment_categories` (`index`);
+ALTER TABLE `magic_items` ADD CONSTRAINT `fk_magic_items_equipment_category_index` FOREIGN KEY (`equipment_category_index`) REFERENCES `equipment_categories` (`index`);
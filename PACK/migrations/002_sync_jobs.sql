@@ -0,0 +1,28 @@
+-- Migration 002: bookkeeping tables for server-side "Sync All" jobs.
+
+CREATE TABLE `sync_jobs` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `job_type` varchar(50) NOT NULL,
+  `status` varchar(20) NOT NULL,
+  `options` text,
+  `current_resource` varchar(50) DEFAULT NULL,
+  `error_message` text,
+  `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `started_at` timestamp NULL DEFAULT NULL,
+  `finished_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`)
+);
+
+CREATE TABLE `sync_job_steps` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `job_id` int(11) NOT NULL,
+  `step_order` int(11) NOT NULL,
+  `resource` varchar(50) NOT NULL,
+  `status` varchar(20) NOT NULL,
+  `message` text,
+  `records_processed` int(11) DEFAULT NULL,
+  `started_at` timestamp NULL DEFAULT NULL,
+  `finished_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `job_step_unique` (`job_id`,`step_order`)
+);
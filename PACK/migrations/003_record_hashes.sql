@@ -0,0 +1,26 @@
+-- Migration 003: a hash of the upstream data each record was built from, for incremental syncs.
+
+ALTER TABLE `ability_scores` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `description`;
+ALTER TABLE `skills` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `ability_score`;
+ALTER TABLE `languages` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `script`;
+ALTER TABLE `alignments` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `description`;
+ALTER TABLE `rule_sections` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `description`;
+ALTER TABLE `rules` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `rule_section_index`;
+ALTER TABLE `backgrounds` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `flaws`;
+ALTER TABLE `feats` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `description`;
+ALTER TABLE `races` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `language_desc`;
+ALTER TABLE `subraces` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `ability_bonuses`;
+ALTER TABLE `classes` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `spellcasting`;
+ALTER TABLE `subclasses` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `description`;
+ALTER TABLE `features` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `description`;
+ALTER TABLE `traits` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `description`;
+ALTER TABLE `proficiencies` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `reference_index`;
+ALTER TABLE `spells` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `damage`;
+ALTER TABLE `magic_schools` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `description`;
+ALTER TABLE `damage_types` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `description`;
+ALTER TABLE `conditions` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `description`;
+ALTER TABLE `weapon_properties` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `description`;
+ALTER TABLE `equipment` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `capacity`;
+ALTER TABLE `equipment_categories` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `name`;
+ALTER TABLE `magic_items` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `description`;
+ALTER TABLE `monsters` ADD COLUMN `record_hash` char(64) DEFAULT NULL AFTER `legendary_actions`;
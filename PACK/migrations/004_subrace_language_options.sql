@@ -0,0 +1,3 @@
+-- Migration 004: mark the languages a subrace may choose from its language_options.
+
+ALTER TABLE `subrace_languages` ADD COLUMN `is_option` tinyint(1) NOT NULL DEFAULT 0 AFTER `language_index`;
@@ -0,0 +1,62 @@
+-- Migration 005: monster actions, senses, speeds and damage relations as tables.
+
+CREATE TABLE `monster_actions` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `monster_index` varchar(100) NOT NULL,
+  `action_type` varchar(20) NOT NULL,
+  `position` int(11) NOT NULL,
+  `name` varchar(255) NOT NULL,
+  `description` text,
+  `attack_bonus` int(11) DEFAULT NULL,
+  `dc_type` varchar(10) DEFAULT NULL,
+  `dc_value` int(11) DEFAULT NULL,
+  `dc_success` varchar(20) DEFAULT NULL,
+  `usage_type` varchar(50) DEFAULT NULL,
+  `usage_times` int(11) DEFAULT NULL,
+  `usage_dice` varchar(20) DEFAULT NULL,
+  `usage_min_value` int(11) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `monster_action_unique` (`monster_index`,`action_type`,`position`),
+  KEY `monster_action_name` (`name`)
+);
+
+CREATE TABLE `monster_action_damage` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `monster_index` varchar(100) NOT NULL,
+  `action_id` int(11) NOT NULL,
+  `damage_type_index` varchar(100) DEFAULT NULL,
+  `damage_dice` varchar(50) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `monster_action_damage_action` (`action_id`),
+  KEY `monster_action_damage_type` (`damage_type_index`)
+);
+
+CREATE TABLE `monster_senses` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `monster_index` varchar(100) NOT NULL,
+  `sense` varchar(50) NOT NULL,
+  `value` varchar(100) DEFAULT NULL,
+  `distance_ft` int(11) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `monster_sense_unique` (`monster_index`,`sense`)
+);
+
+CREATE TABLE `monster_speeds` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `monster_index` varchar(100) NOT NULL,
+  `movement` varchar(20) NOT NULL,
+  `value` varchar(100) DEFAULT NULL,
+  `distance_ft` int(11) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `monster_speed_unique` (`monster_index`,`movement`)
+);
+
+CREATE TABLE `monster_damage_relations` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `monster_index` varchar(100) NOT NULL,
+  `damage_type_index` varchar(100) NOT NULL,
+  `relation` varchar(20) NOT NULL,
+  `qualifier` varchar(255) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `monster_damage_relation_type` (`damage_type_index`,`relation`)
+);
@@ -0,0 +1,24 @@
+-- Migration 006: spell component flags, area of effect, save DC and damage/heal scaling.
+
+ALTER TABLE `spells`
+  ADD COLUMN `component_v` tinyint(1) NOT NULL DEFAULT 0 AFTER `damage`,
+  ADD COLUMN `component_s` tinyint(1) NOT NULL DEFAULT 0 AFTER `component_v`,
+  ADD COLUMN `component_m` tinyint(1) NOT NULL DEFAULT 0 AFTER `component_s`,
+  ADD COLUMN `area_type` varchar(20) DEFAULT NULL AFTER `component_m`,
+  ADD COLUMN `area_size` int(11) DEFAULT NULL AFTER `area_type`,
+  ADD COLUMN `attack_type` varchar(20) DEFAULT NULL AFTER `area_size`,
+  ADD COLUMN `damage_type_index` varchar(50) DEFAULT NULL AFTER `attack_type`,
+  ADD COLUMN `dc_type` varchar(10) DEFAULT NULL AFTER `damage_type_index`,
+  ADD COLUMN `dc_success` varchar(20) DEFAULT NULL AFTER `dc_type`,
+  ADD COLUMN `dc_desc` text AFTER `dc_success`;
+
+CREATE TABLE `spell_scaling` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `spell_index` varchar(100) NOT NULL,
+  `effect` varchar(10) NOT NULL,
+  `scaling` varchar(10) NOT NULL,
+  `level` int(11) NOT NULL,
+  `dice` varchar(50) NOT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `spell_scaling_unique` (`spell_index`,`effect`,`scaling`,`level`)
+);
@@ -0,0 +1,14 @@
+-- Migration 007: records that failed during a sync run with continueOnError, kept for retrying.
+
+CREATE TABLE `sync_failures` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `resource` varchar(50) NOT NULL,
+  `record_index` varchar(100) NOT NULL,
+  `record_name` varchar(255) DEFAULT NULL,
+  `error_message` text,
+  `attempts` int(11) NOT NULL DEFAULT 1,
+  `first_failed_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `last_failed_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `sync_failure_record` (`resource`,`record_index`)
+);
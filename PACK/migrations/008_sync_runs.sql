@@ -0,0 +1,20 @@
+-- Migration 008: an audit log of every sync run with its statistics.
+
+CREATE TABLE `sync_runs` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `resource` varchar(50) NOT NULL,
+  `status` varchar(20) NOT NULL,
+  `source` varchar(255) DEFAULT NULL,
+  `records_fetched` int(11) DEFAULT NULL,
+  `records_inserted` int(11) DEFAULT NULL,
+  `records_updated` int(11) DEFAULT NULL,
+  `records_unchanged` int(11) DEFAULT NULL,
+  `records_failed` int(11) DEFAULT NULL,
+  `records_pruned` int(11) DEFAULT NULL,
+  `message` text,
+  `error_message` text,
+  `started_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `finished_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `sync_run_resource` (`resource`,`started_at`)
+);
@@ -0,0 +1,17 @@
+-- Migration 009: full-text indexes for GET /search.
+
+ALTER TABLE `rule_sections` ADD FULLTEXT KEY `rule_sections_search` (`name`,`description`);
+
+ALTER TABLE `rules` ADD FULLTEXT KEY `rules_search` (`name`,`description`);
+
+ALTER TABLE `features` ADD FULLTEXT KEY `features_search` (`name`,`description`);
+
+ALTER TABLE `traits` ADD FULLTEXT KEY `traits_search` (`name`,`description`);
+
+ALTER TABLE `spells` ADD FULLTEXT KEY `spells_search` (`name`,`description`,`higher_level`);
+
+ALTER TABLE `conditions` ADD FULLTEXT KEY `conditions_search` (`name`,`description`);
+
+ALTER TABLE `magic_items` ADD FULLTEXT KEY `magic_items_search` (`name`,`description`);
+
+ALTER TABLE `monsters` ADD FULLTEXT KEY `monsters_search` (`name`,`special_abilities`,`actions`,`legendary_actions`);
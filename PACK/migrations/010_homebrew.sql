@@ -0,0 +1,17 @@
+-- Migration 010: homebrew records and field-level overrides of synced records.
+
+ALTER TABLE `feats` ADD COLUMN `source` varchar(20) NOT NULL DEFAULT 'srd' AFTER `description`;
+ALTER TABLE `spells` ADD COLUMN `source` varchar(20) NOT NULL DEFAULT 'srd' AFTER `dc_desc`;
+ALTER TABLE `magic_items` ADD COLUMN `source` varchar(20) NOT NULL DEFAULT 'srd' AFTER `description`;
+ALTER TABLE `monsters` ADD COLUMN `source` varchar(20) NOT NULL DEFAULT 'srd' AFTER `legendary_actions`;
+
+CREATE TABLE `record_overrides` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `table_name` varchar(50) NOT NULL,
+  `record_index` varchar(100) NOT NULL,
+  `column_name` varchar(64) NOT NULL,
+  `value` text,
+  `last_updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `record_override_field` (`table_name`,`record_index`,`column_name`)
+);
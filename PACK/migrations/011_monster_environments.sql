@@ -0,0 +1,3 @@
+-- Migration 011: environment tags of monsters, for the encounter builder.
+
+ALTER TABLE `monsters` ADD COLUMN `environments` text AFTER `legendary_actions`;
@@ -0,0 +1,1109 @@
+// PACK/schema.js
+// The one definition of the database schema. `npm run schema` generates a script that
+// creates it for every supported database:
+//   PACK/create_db.sql           MySQL / MariaDB
+//   PACK/create_db.sqlite.sql    SQLite
+//   PACK/create_db.postgres.sql  PostgreSQL
+// Change tables here, never in the generated files. Existing databases also need a numbered
+// MySQL migration in PACK/migrations for every change, which translateMigration rewrites for
+// SQLite and PostgreSQL (see "Schema Migrations" in the README).
+
+const fs = require('fs');
+const path = require('path');
+
+// --- Column types ---
+// Every column is nullable unless `notNull` is set; `default` gives a constant default,
+// written into the SQL as-is (so a string default carries its quotes).
+const NOT_NULL = { notNull: true };
+const NOW = { notNull: true, defaultNow: true };
+
+const id = () => ({ type: 'id' });   // An auto-incrementing integer primary key
+const varchar = (length, options) => ({ type: 'varchar', length, ...options });
+const char = (length, options) => ({ type: 'char', length, ...options });
+const text = (options) => ({ type: 'text', ...options });
+const mediumtext = (options) => ({ type: 'mediumtext', ...options });
+const int = (options) => ({ type: 'int', ...options });
+const bool = (options) => ({ type: 'bool', ...options });   // Stored as 0 or 1
+const float = (options) => ({ type: 'float', ...options });
+// `defaultNow` defaults the column to the time the row is inserted, `onUpdateNow` also
+// sets it whenever the row is updated.
+const timestamp = (options) => ({ type: 'timestamp', ...options });
+const lastUpdated = () => timestamp({ ...NOW, onUpdateNow: true });
+// Where a record comes from: 'srd' for synced records, 'homebrew' for records created through
+// the homebrew endpoints, which syncs never overwrite or prune.
+const recordSource = () => varchar(20, { notNull: true, default: "'srd'" });
+
+// --- Tables ---
+// Each table has `columns`, its `primaryKey` (the `id` column unless given), and
+// optional `unique` and `keys` indexes, each mapping an index name to its columns.
+// `fullText` lists the columns GET /search looks in; they get the table's full-text
+// index, named `<table>_search`.
+const SECTIONS = [
+    {
+        title: 'Core Gameplay Tables',
+        description: [
+            'These tables define the fundamental mechanics, rules, and concepts of the game.'
+        ],
+        tables: {
+            ability_scores: {
+                columns: {
+                    id: id(),
+                    index: varchar(50, NOT_NULL),
+                    name: varchar(50, NOT_NULL),
+                    description: text(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] }
+            },
+            skills: {
+                columns: {
+                    id: id(),
+                    index: varchar(50, NOT_NULL),
+                    name: varchar(50, NOT_NULL),
+                    description: text(),
+                    ability_score: varchar(50),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] }
+            },
+            languages: {
+                columns: {
+                    id: id(),
+                    index: varchar(50, NOT_NULL),
+                    name: varchar(50, NOT_NULL),
+                    type: varchar(50),
+                    typical_speakers: text(),
+                    script: varchar(50),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] }
+            },
+            alignments: {
+                columns: {
+                    id: id(),
+                    index: varchar(50, NOT_NULL),
+                    name: varchar(50, NOT_NULL),
+                    abbreviation: varchar(10, NOT_NULL),
+                    description: text(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] }
+            },
+            rule_sections: {
+                columns: {
+                    id: id(),
+                    index: varchar(100, NOT_NULL),
+                    name: varchar(100, NOT_NULL),
+                    description: text(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] },
+                fullText: ['name', 'description']
+            },
+            rules: {
+                columns: {
+                    id: id(),
+                    index: varchar(100, NOT_NULL),
+                    name: varchar(100, NOT_NULL),
+                    description: mediumtext(),
+                    rule_section_index: varchar(100),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] },
+                fullText: ['name', 'description']
+            }
+        }
+    },
+    {
+        title: 'Character Build Tables',
+        description: [
+            'These tables define the options available for character creation and progression,',
+            'including races, classes, backgrounds, and the join tables that link them together.'
+        ],
+        tables: {
+            backgrounds: {
+                columns: {
+                    id: id(),
+                    index: varchar(50, NOT_NULL),
+                    name: varchar(50, NOT_NULL),
+                    starting_proficiencies: text(),
+                    language_options: text(),
+                    starting_equipment: text(),
+                    feature_name: varchar(100),
+                    feature_desc: text(),
+                    personality_traits: text(),
+                    ideals: text(),
+                    bonds: text(),
+                    flaws: text(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] }
+            },
+            feats: {
+                columns: {
+                    id: id(),
+                    index: varchar(100, NOT_NULL),
+                    name: varchar(100, NOT_NULL),
+                    prerequisites: text(),
+                    description: text(),
+                    source: recordSource(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] }
+            },
+            races: {
+                columns: {
+                    id: id(),
+                    index: varchar(100, NOT_NULL),
+                    name: varchar(100, NOT_NULL),
+                    speed: int(),
+                    ability_bonuses: text(),
+                    alignment: text(),
+                    age: text(),
+                    size: varchar(50),
+                    size_description: text(),
+                    language_desc: text(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] }
+            },
+            race_proficiencies: {
+                columns: {
+                    id: id(),
+                    race_index: varchar(100, NOT_NULL),
+                    proficiency_index: varchar(100, NOT_NULL)
+                },
+                unique: { race_prof_unique: ['race_index', 'proficiency_index'] }
+            },
+            race_languages: {
+                columns: {
+                    id: id(),
+                    race_index: varchar(100, NOT_NULL),
+                    language_index: varchar(100, NOT_NULL)
+                },
+                unique: { race_lang_unique: ['race_index', 'language_index'] }
+            },
+            race_traits: {
+                columns: {
+                    id: id(),
+                    race_index: varchar(100, NOT_NULL),
+                    trait_index: varchar(100, NOT_NULL)
+                },
+                unique: { race_trait_unique: ['race_index', 'trait_index'] }
+            },
+            subraces: {
+                columns: {
+                    id: id(),
+                    index: varchar(100, NOT_NULL),
+                    name: varchar(100, NOT_NULL),
+                    race_index: varchar(100),
+                    description: text(),
+                    ability_bonuses: text(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] }
+            },
+            subrace_proficiencies: {
+                columns: {
+                    id: id(),
+                    subrace_index: varchar(100, NOT_NULL),
+                    proficiency_index: varchar(100, NOT_NULL)
+                },
+                unique: { subrace_prof_unique: ['subrace_index', 'proficiency_index'] }
+            },
+            subrace_languages: {
+                columns: {
+                    id: id(),
+                    subrace_index: varchar(100, NOT_NULL),
+                    language_index: varchar(100, NOT_NULL),
+                    is_option: bool({ notNull: true, default: 0 })
+                },
+                unique: { subrace_lang_unique: ['subrace_index', 'language_index'] }
+            },
+            subrace_traits: {
+                columns: {
+                    id: id(),
+                    subrace_index: varchar(100, NOT_NULL),
+                    trait_index: varchar(100, NOT_NULL)
+                },
+                unique: { subrace_trait_unique: ['subrace_index', 'trait_index'] }
+            },
+            classes: {
+                columns: {
+                    id: id(),
+                    index: varchar(100, NOT_NULL),
+                    name: varchar(100, NOT_NULL),
+                    hit_die: int(),
+                    saving_throws: text(),
+                    multi_classing: text(),
+                    spellcasting: text(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] }
+            },
+            class_levels: {
+                columns: {
+                    id: id(),
+                    class_index: varchar(100),
+                    level: int(),
+                    ability_score_bonuses: int(),
+                    prof_bonus: int(),
+                    features: text(),
+                    class_specific: text()
+                },
+                unique: { class_level_unique: ['class_index', 'level'] }
+            },
+            class_spells: {
+                columns: {
+                    id: id(),
+                    class_index: varchar(100),
+                    spell_index: varchar(100),
+                    level_acquired: int()
+                },
+                unique: { class_spell_unique: ['class_index', 'spell_index'] }
+            },
+            class_proficiency_choices: {
+                columns: {
+                    id: id(),
+                    class_index: varchar(100),
+                    choice_index: int(),
+                    description: text(),
+                    choose: int(),
+                    type: varchar(100),
+                    options: text()
+                }
+            },
+            class_starting_equipment: {
+                columns: {
+                    id: id(),
+                    class_index: varchar(100),
+                    equipment_index: varchar(100),
+                    quantity: int()
+                }
+            },
+            class_starting_equipment_options: {
+                columns: {
+                    id: id(),
+                    class_index: varchar(100),
+                    choice_index: int(),
+                    description: text(),
+                    choose: int(),
+                    options: text()
+                }
+            },
+            subclasses: {
+                columns: {
+                    id: id(),
+                    index: varchar(100, NOT_NULL),
+                    name: varchar(100, NOT_NULL),
+                    class_index: varchar(100),
+                    subclass_flavor: text(),
+                    description: text(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] }
+            },
+            subclass_levels: {
+                columns: {
+                    id: id(),
+                    subclass_index: varchar(100),
+                    level: int(),
+                    features: text()
+                },
+                unique: { subclass_level_unique: ['subclass_index', 'level'] }
+            },
+            subclass_spells: {
+                columns: {
+                    id: id(),
+                    subclass_index: varchar(100),
+                    spell_index: varchar(100),
+                    prerequisites: text()
+                },
+                unique: { subclass_spell_unique: ['subclass_index', 'spell_index'] }
+            },
+            features: {
+                columns: {
+                    id: id(),
+                    index: varchar(100, NOT_NULL),
+                    name: varchar(100, NOT_NULL),
+                    class: varchar(100),
+                    subclass: varchar(100),
+                    level: int(),
+                    description: text(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] },
+                fullText: ['name', 'description']
+            },
+            traits: {
+                columns: {
+                    id: id(),
+                    index: varchar(100, NOT_NULL),
+                    name: varchar(100, NOT_NULL),
+                    description: text(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] },
+                fullText: ['name', 'description']
+            },
+            trait_races: {
+                columns: {
+                    id: id(),
+                    trait_index: varchar(100, NOT_NULL),
+                    race_index: varchar(100, NOT_NULL)
+                },
+                unique: { trait_race_unique: ['trait_index', 'race_index'] }
+            },
+            trait_subraces: {
+                columns: {
+                    id: id(),
+                    trait_index: varchar(100, NOT_NULL),
+                    subrace_index: varchar(100, NOT_NULL)
+                },
+                unique: { trait_subrace_unique: ['trait_index', 'subrace_index'] }
+            },
+            trait_proficiencies: {
+                columns: {
+                    id: id(),
+                    trait_index: varchar(100, NOT_NULL),
+                    proficiency_index: varchar(100, NOT_NULL)
+                },
+                unique: { trait_prof_unique: ['trait_index', 'proficiency_index'] }
+            },
+            proficiencies: {
+                columns: {
+                    id: id(),
+                    index: varchar(100, NOT_NULL),
+                    name: varchar(100),
+                    type: varchar(100),
+                    reference_index: varchar(100),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] }
+            },
+            proficiency_classes: {
+                columns: {
+                    id: id(),
+                    proficiency_index: varchar(100, NOT_NULL),
+                    class_index: varchar(100, NOT_NULL)
+                },
+                unique: { prof_class_unique: ['proficiency_index', 'class_index'] }
+            },
+            proficiency_races: {
+                columns: {
+                    id: id(),
+                    proficiency_index: varchar(100, NOT_NULL),
+                    race_index: varchar(100, NOT_NULL)
+                },
+                unique: { prof_race_unique: ['proficiency_index', 'race_index'] }
+            }
+        }
+    },
+    {
+        title: 'Magic & Combat Tables',
+        description: [
+            'These tables define spells, combat rules, item properties, and status effects.'
+        ],
+        tables: {
+            spells: {
+                columns: {
+                    id: id(),
+                    index: varchar(100, NOT_NULL),
+                    name: varchar(100, NOT_NULL),
+                    description: text(),
+                    higher_level: text(),
+                    spell_range: varchar(100),
+                    components: varchar(50),
+                    material: text(),
+                    ritual: bool(),
+                    duration: varchar(100),
+                    concentration: bool(),
+                    casting_time: varchar(100),
+                    spell_level: int(),
+                    school_index: varchar(50),
+                    damage: text(),
+                    component_v: bool({ notNull: true, default: 0 }),
+                    component_s: bool({ notNull: true, default: 0 }),
+                    component_m: bool({ notNull: true, default: 0 }),
+                    area_type: varchar(20),
+                    area_size: int(),
+                    attack_type: varchar(20),
+                    damage_type_index: varchar(50),
+                    dc_type: varchar(10),
+                    dc_success: varchar(20),
+                    dc_desc: text(),
+                    source: recordSource(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] },
+                fullText: ['name', 'description', 'higher_level']
+            },
+            spell_classes: {
+                columns: {
+                    id: id(),
+                    spell_index: varchar(100, NOT_NULL),
+                    class_index: varchar(100, NOT_NULL)
+                },
+                unique: { spell_class_unique: ['spell_index', 'class_index'] }
+            },
+            spell_subclasses: {
+                columns: {
+                    id: id(),
+                    spell_index: varchar(100, NOT_NULL),
+                    subclass_index: varchar(100, NOT_NULL)
+                },
+                unique: { spell_subclass_unique: ['spell_index', 'subclass_index'] }
+            },
+            spell_scaling: {
+                columns: {
+                    id: id(),
+                    spell_index: varchar(100, NOT_NULL),
+                    effect: varchar(10, NOT_NULL),
+                    scaling: varchar(10, NOT_NULL),
+                    level: int(NOT_NULL),
+                    dice: varchar(50, NOT_NULL)
+                },
+                unique: { spell_scaling_unique: ['spell_index', 'effect', 'scaling', 'level'] }
+            },
+            magic_schools: {
+                columns: {
+                    id: id(),
+                    index: varchar(50, NOT_NULL),
+                    name: varchar(50),
+                    description: text(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] }
+            },
+            damage_types: {
+                columns: {
+                    id: id(),
+                    index: varchar(50, NOT_NULL),
+                    name: varchar(50, NOT_NULL),
+                    description: text(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] }
+            },
+            conditions: {
+                columns: {
+                    id: id(),
+                    index: varchar(50, NOT_NULL),
+                    name: varchar(50, NOT_NULL),
+                    description: text(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] },
+                fullText: ['name', 'description']
+            },
+            weapon_properties: {
+                columns: {
+                    id: id(),
+                    index: varchar(50, NOT_NULL),
+                    name: varchar(50, NOT_NULL),
+                    description: text(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] }
+            }
+        }
+    },
+    {
+        title: 'Equipment & Monster Tables',
+        description: [
+            'These tables define all items, gear, and creatures in the game.'
+        ],
+        tables: {
+            equipment: {
+                columns: {
+                    id: id(),
+                    index: varchar(100, NOT_NULL),
+                    name: varchar(100, NOT_NULL),
+                    equipment_category_index: varchar(100),
+                    gear_category: varchar(100),
+                    cost: varchar(50),
+                    weight: float(),
+                    description: text(),
+                    weapon_category: varchar(100),
+                    weapon_range: varchar(50),
+                    category_range: varchar(100),
+                    damage: text(),
+                    two_handed_damage: text(),
+                    range_info: text(),
+                    properties: text(),
+                    armor_category: varchar(100),
+                    armor_class: text(),
+                    str_minimum: int(),
+                    stealth_disadvantage: bool(),
+                    contents: text(),
+                    speed_info: text(),
+                    capacity: text(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] }
+            },
+            equipment_categories: {
+                columns: {
+                    id: id(),
+                    index: varchar(100, NOT_NULL),
+                    name: varchar(100, NOT_NULL),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] }
+            },
+            magic_items: {
+                columns: {
+                    id: id(),
+                    index: varchar(100, NOT_NULL),
+                    name: varchar(100, NOT_NULL),
+                    equipment_category_index: varchar(100),
+                    rarity_name: varchar(50),
+                    description: text(),
+                    source: recordSource(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] },
+                fullText: ['name', 'description']
+            },
+            monsters: {
+                columns: {
+                    id: id(),
+                    index: varchar(100, NOT_NULL),
+                    name: varchar(100, NOT_NULL),
+                    size: varchar(50),
+                    type: varchar(50),
+                    subtype: varchar(50),
+                    alignment: varchar(100),
+                    armor_class: text(),
+                    hit_points: int(),
+                    hit_dice: varchar(50),
+                    speed: text(),
+                    strength: int(),
+                    dexterity: int(),
+                    constitution: int(),
+                    intelligence: int(),
+                    wisdom: int(),
+                    charisma: int(),
+                    damage_vulnerabilities: text(),
+                    damage_resistances: text(),
+                    damage_immunities: text(),
+                    senses: text(),
+                    languages: varchar(255),
+                    challenge_rating: float(),
+                    xp: int(),
+                    special_abilities: text(),
+                    actions: text(),
+                    legendary_actions: text(),
+                    environments: text(),
+                    source: recordSource(),
+                    record_hash: char(64),
+                    last_updated: lastUpdated()
+                },
+                unique: { index: ['index'] },
+                fullText: ['name', 'special_abilities', 'actions', 'legendary_actions']
+            },
+            monster_proficiencies: {
+                columns: {
+                    id: id(),
+                    monster_index: varchar(100, NOT_NULL),
+                    proficiency_index: varchar(100, NOT_NULL),
+                    value: int()
+                },
+                unique: { monster_prof_unique: ['monster_index', 'proficiency_index'] }
+            },
+            monster_condition_immunities: {
+                columns: {
+                    id: id(),
+                    monster_index: varchar(100, NOT_NULL),
+                    condition_index: varchar(100, NOT_NULL)
+                },
+                unique: { monster_cond_unique: ['monster_index', 'condition_index'] }
+            },
+            monster_actions: {
+                columns: {
+                    id: id(),
+                    monster_index: varchar(100, NOT_NULL),
+                    action_type: varchar(20, NOT_NULL),
+                    position: int(NOT_NULL),
+                    name: varchar(255, NOT_NULL),
+                    description: text(),
+                    attack_bonus: int(),
+                    dc_type: varchar(10),
+                    dc_value: int(),
+                    dc_success: varchar(20),
+                    usage_type: varchar(50),
+                    usage_times: int(),
+                    usage_dice: varchar(20),
+                    usage_min_value: int()
+                },
+                unique: { monster_action_unique: ['monster_index', 'action_type', 'position'] },
+                keys: { monster_action_name: ['name'] }
+            },
+            monster_action_damage: {
+                columns: {
+                    id: id(),
+                    monster_index: varchar(100, NOT_NULL),
+                    action_id: int(NOT_NULL),
+                    damage_type_index: varchar(100),
+                    damage_dice: varchar(50)
+                },
+                keys: { monster_action_damage_action: ['action_id'], monster_action_damage_type: ['damage_type_index'] }
+            },
+            monster_senses: {
+                columns: {
+                    id: id(),
+                    monster_index: varchar(100, NOT_NULL),
+                    sense: varchar(50, NOT_NULL),
+                    value: varchar(100),
+                    distance_ft: int()
+                },
+                unique: { monster_sense_unique: ['monster_index', 'sense'] }
+            },
+            monster_speeds: {
+                columns: {
+                    id: id(),
+                    monster_index: varchar(100, NOT_NULL),
+                    movement: varchar(20, NOT_NULL),
+                    value: varchar(100),
+                    distance_ft: int()
+                },
+                unique: { monster_speed_unique: ['monster_index', 'movement'] }
+            },
+            monster_damage_relations: {
+                columns: {
+                    id: id(),
+                    monster_index: varchar(100, NOT_NULL),
+                    damage_type_index: varchar(100, NOT_NULL),
+                    relation: varchar(20, NOT_NULL),
+                    qualifier: varchar(255)
+                },
+                keys: { monster_damage_relation_type: ['damage_type_index', 'relation'] }
+            }
+        }
+    },
+    {
+        title: 'Homebrew Tables',
+        description: [
+            'Field-level overrides of synced records. Every sync writes these values over the',
+            'upstream ones.'
+        ],
+        tables: {
+            record_overrides: {
+                columns: {
+                    id: id(),
+                    table_name: varchar(50, NOT_NULL),
+                    record_index: varchar(100, NOT_NULL),
+                    column_name: varchar(64, NOT_NULL),
+                    value: text(),
+                    last_updated: lastUpdated()
+                },
+                unique: { record_override_field: ['table_name', 'record_index', 'column_name'] }
+            }
+        }
+    },
+    {
+        title: 'Synchronizer Bookkeeping Tables',
+        description: [
+            'These tables are written by the server itself to track server-side sync jobs,',
+            'every sync run, records that failed to sync and the schema migrations that',
+            'have been applied.'
+        ],
+        tables: {
+            sync_jobs: {
+                columns: {
+                    id: id(),
+                    job_type: varchar(50, NOT_NULL),
+                    status: varchar(20, NOT_NULL),
+                    options: text(),
+                    current_resource: varchar(50),
+                    error_message: text(),
+                    created_at: timestamp(NOW),
+                    started_at: timestamp(),
+                    finished_at: timestamp()
+                }
+            },
+            sync_job_steps: {
+                columns: {
+                    id: id(),
+                    job_id: int(NOT_NULL),
+                    step_order: int(NOT_NULL),
+                    resource: varchar(50, NOT_NULL),
+                    status: varchar(20, NOT_NULL),
+                    message: text(),
+                    records_processed: int(),
+                    started_at: timestamp(),
+                    finished_at: timestamp()
+                },
+                unique: { job_step_unique: ['job_id', 'step_order'] }
+            },
+            sync_failures: {
+                columns: {
+                    id: id(),
+                    resource: varchar(50, NOT_NULL),
+                    record_index: varchar(100, NOT_NULL),
+                    record_name: varchar(255),
+                    error_message: text(),
+                    attempts: int({ notNull: true, default: 1 }),
+                    first_failed_at: timestamp(NOW),
+                    last_failed_at: timestamp(NOW)
+                },
+                unique: { sync_failure_record: ['resource', 'record_index'] }
+            },
+            sync_runs: {
+                columns: {
+                    id: id(),
+                    resource: varchar(50, NOT_NULL),
+                    status: varchar(20, NOT_NULL),
+                    source: varchar(255),
+                    records_fetched: int(),
+                    records_inserted: int(),
+                    records_updated: int(),
+                    records_unchanged: int(),
+                    records_failed: int(),
+                    records_pruned: int(),
+                    message: text(),
+                    error_message: text(),
+                    started_at: timestamp(NOW),
+                    finished_at: timestamp()
+                },
+                keys: { sync_run_resource: ['resource', 'started_at'] }
+            },
+            schema_migrations: {
+                columns: {
+                    version: int(NOT_NULL),
+                    name: varchar(100, NOT_NULL),
+                    applied_at: timestamp(NOW)
+                },
+                primaryKey: ['version']
+            }
+        }
+    }
+];
+
+// Every table, keyed by name.
+const TABLES = Object.assign({}, ...SECTIONS.map(section => section.tables));
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// How each dialect spells the column types and where its generated script goes.
+const DIALECTS = {
+    mysql: {
+        file: 'create_db.sql',
+        label: 'MySQL/MariaDB',
+        quote: name => `\`${name}\``,
+        types: {
+            id: 'int(11) NOT NULL AUTO_INCREMENT', varchar: 'varchar', char: 'char', text: 'text', mediumtext: 'mediumtext',
+            int: 'int(11)', bool: 'tinyint(1)', float: 'float', timestamp: 'timestamp'
+        }
+    },
+    sqlite: {
+        file: 'create_db.sqlite.sql',
+        label: 'SQLite',
+        quote: name => `"${name}"`,
+        // SQLite only enforces the type affinity, so the MySQL names are kept for reference
+        types: {
+            id: 'integer PRIMARY KEY AUTOINCREMENT', varchar: 'varchar', char: 'char', text: 'text', mediumtext: 'mediumtext',
+            int: 'int', bool: 'tinyint(1)', float: 'float', timestamp: 'timestamp'
+        }
+    },
+    postgres: {
+        file: 'create_db.postgres.sql',
+        label: 'PostgreSQL',
+        quote: name => `"${name}"`,
+        types: {
+            id: 'serial', varchar: 'varchar', char: 'char', text: 'text', mediumtext: 'text',
+            int: 'integer', bool: 'smallint', float: 'real', timestamp: 'timestamp'
+        }
+    }
+};
+
+/**
+ * Returns the primary key columns of a table.
+ * @param {Object} table - A table from TABLES.
+ * @returns {string[]} The column names.
+ */
+function primaryKeyOf(table) {
+    return table.primaryKey || ['id'];
+}
+
+/**
+ * Lists the columns of every table, in definition order.
+ * @returns {Map<string, string[]>} Table name to column names.
+ */
+function tableColumns() {
+    return new Map(Object.entries(TABLES).map(([name, table]) => [name, Object.keys(table.columns)]));
+}
+
+/**
+ * The text PostgreSQL indexes for a table's `fullText` columns. Searches have to use the
+ * same expression for the index to apply.
+ * @param {string} name - The table name.
+ * @returns {string} A `to_tsvector(...)` expression.
+ */
+function fullTextDocument(name) {
+    const columns = TABLES[name].fullText.map(column => `coalesce(${DIALECTS.postgres.quote(column)}, '')`);
+    return `to_tsvector('english', ${columns.join(" || ' ' || ")})`;
+}
+
+/**
+ * Writes the statements of a table's full-text index. MySQL declares it inside CREATE
+ * TABLE (see createTableStatements). SQLite keeps an FTS5 table next to the table, with
+ * triggers that copy every change into it.
+ * @param {string} name - The table name.
+ * @param {string} dialect - 'sqlite' or 'postgres'.
+ * @returns {string[]} The statements.
+ */
+function fullTextStatements(name, dialect) {
+    const { quote } = DIALECTS[dialect];
+    const index = `${name}_search`;
+    if (dialect === 'postgres') {
+        return [`CREATE INDEX ${quote(index)} ON ${quote(name)} USING GIN (${fullTextDocument(name)})`];
+    }
+
+    const columns = TABLES[name].fullText.map(quote).join(', ');
+    const values = prefix => TABLES[name].fullText.map(column => `${prefix}.${quote(column)}`).join(', ');
+    const insert = `INSERT INTO ${quote(index)} (rowid, ${columns}) VALUES (NEW.rowid, ${values('NEW')});`;
+    const remove = `INSERT INTO ${quote(index)} (${quote(index)}, rowid, ${columns}) VALUES ('delete', OLD.rowid, ${values('OLD')});`;
+    return [
+        `CREATE VIRTUAL TABLE ${quote(index)} USING fts5(${columns}, content='${name}', content_rowid='id')`,
+        `CREATE TRIGGER ${quote(`${index}_insert`)} AFTER INSERT ON ${quote(name)}\nBEGIN\n  ${insert}\nEND`,
+        `CREATE TRIGGER ${quote(`${index}_delete`)} AFTER DELETE ON ${quote(name)}\nBEGIN\n  ${remove}\nEND`,
+        `CREATE TRIGGER ${quote(`${index}_update`)} AFTER UPDATE ON ${quote(name)}\nBEGIN\n  ${remove}\n  ${insert}\nEND`
+    ];
+}
+
+/**
+ * Writes the definition of one column.
+ * @param {string} name - The column name.
+ * @param {Object} column - The column, as built by the type helpers above.
+ * @param {string} dialect - A key of DIALECTS.
+ * @returns {string} e.g. "`index` varchar(50) NOT NULL".
+ */
+function columnDefinition(name, column, dialect) {
+    const { quote, types } = DIALECTS[dialect];
+    const type = column.length ? `${types[column.type]}(${column.length})` : types[column.type];
+    const parts = [quote(name), type];
+    if (column.type === 'id') return parts.join(' ');
+
+    if (column.notNull) {
+        parts.push('NOT NULL');
+    } else if (dialect === 'mysql' && column.type === 'timestamp') {
+        // MySQL makes a timestamp column NOT NULL unless it is declared NULL
+        parts.push('NULL DEFAULT NULL');
+    } else if (dialect === 'mysql' && !['text', 'mediumtext'].includes(column.type)) {
+        parts.push('DEFAULT NULL');
+    }
+    if (column.defaultNow) {
+        parts.push('DEFAULT CURRENT_TIMESTAMP');
+        if (column.onUpdateNow && dialect === 'mysql') parts.push('ON UPDATE CURRENT_TIMESTAMP');
+    } else if (column.default !== undefined) {
+        parts.push(`DEFAULT ${column.default}`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Writes the statements that create one table, its indexes and, outside MySQL, the
+ * triggers that keep its `onUpdateNow` columns current.
+ * @param {string} name - The table name.
+ * @param {string} dialect - A key of DIALECTS.
+ * @returns {string[]} The statements, without the trailing `;`.
+ */
+function createTableStatements(name, dialect) {
+    const table = TABLES[name];
+    const { quote } = DIALECTS[dialect];
+    const quoteList = (columns, separator) => columns.map(quote).join(separator);
+    const lines = Object.entries(table.columns).map(([column, definition]) => columnDefinition(column, definition, dialect));
+    const statements = [];
+
+    // SQLite declares its auto-increment key on the column itself
+    if (!(dialect === 'sqlite' && primaryKeyOf(table).some(column => table.columns[column].type === 'id'))) {
+        lines.push(`PRIMARY KEY (${quoteList(primaryKeyOf(table), ',')})`);
+    }
+    for (const [key, columns] of Object.entries(table.unique || {})) {
+        lines.push(dialect === 'mysql' ? `UNIQUE KEY ${quote(key)} (${quoteList(columns, ',')})` : `UNIQUE (${quoteList(columns, ', ')})`);
+    }
+    for (const [key, columns] of Object.entries(table.keys || {})) {
+        if (dialect === 'mysql') lines.push(`KEY ${quote(key)} (${quoteList(columns, ',')})`);
+        else statements.push(`CREATE INDEX ${quote(key)} ON ${quote(name)} (${quoteList(columns, ', ')})`);
+    }
+    if (table.fullText) {
+        if (dialect === 'mysql') lines.push(`FULLTEXT KEY ${quote(`${name}_search`)} (${quoteList(table.fullText, ',')})`);
+        else statements.push(...fullTextStatements(name, dialect));
+    }
+    statements.unshift(`CREATE TABLE ${quote(name)} (\n  ${lines.join(',\n  ')}\n)`);
+
+    if (dialect !== 'mysql') {
+        for (const [column, definition] of Object.entries(table.columns)) {
+            if (!definition.onUpdateNow) continue;
+            const trigger = quote(`${name}_${column}`);
+            statements.push(dialect === 'sqlite'
+                ? `CREATE TRIGGER ${trigger} AFTER UPDATE ON ${quote(name)}\n` +
+                  `FOR EACH ROW WHEN NEW.${quote(column)} IS OLD.${quote(column)}\n` +
+                  `BEGIN\n  UPDATE ${quote(name)} SET ${quote(column)} = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;\nEND`
+                : `CREATE TRIGGER ${trigger} BEFORE UPDATE ON ${quote(name)}\n` +
+                  `FOR EACH ROW EXECUTE FUNCTION ${quote(`set_${column}`)}()`);
+        }
+    }
+    return statements;
+}
+
+/**
+ * Writes the statements a dialect needs before any table is created: PostgreSQL's
+ * trigger functions for the `onUpdateNow` columns.
+ * @param {string} dialect - A key of DIALECTS.
+ * @returns {string[]} The statements, each with a comment line, without the trailing `;`.
+ */
+function setupStatements(dialect) {
+    if (dialect !== 'postgres') return [];
+    const { quote } = DIALECTS[dialect];
+    const columns = new Set(Object.values(TABLES).flatMap(table =>
+        Object.entries(table.columns).filter(([, column]) => column.onUpdateNow).map(([name]) => name)));
+    return [...columns].map(column =>
+        `-- Sets ${column} on every update, like MySQL's ON UPDATE CURRENT_TIMESTAMP.\n` +
+        `CREATE OR REPLACE FUNCTION ${quote(`set_${column}`)}() RETURNS trigger AS $$\n` +
+        `BEGIN\n  NEW.${quote(column)} = CURRENT_TIMESTAMP;\n  RETURN NEW;\nEND;\n$$ LANGUAGE plpgsql`);
+}
+
+/**
+ * Writes the statements that drop one table if it exists, along with SQLite's
+ * full-text table for it.
+ * @param {string} name - The table name.
+ * @param {string} dialect - A key of DIALECTS.
+ * @returns {string[]} The statements, without the trailing `;`.
+ */
+function dropTableStatements(name, dialect) {
+    const { quote } = DIALECTS[dialect];
+    const statements = [`DROP TABLE IF EXISTS ${quote(name)}`];
+    if (dialect === 'sqlite' && TABLES[name].fullText) statements.unshift(`DROP TABLE IF EXISTS ${quote(`${name}_search`)}`);
+    return statements;
+}
+
+/**
+ * Lists the migration files in version order.
+ * @returns {Object[]} { version, name, file } for each `NNN_name.sql` file.
+ */
+function readMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => /^(\d+)_(\w+)\.sql$/.exec(file))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({ version: parseInt(version, 10), name, file: path.join(MIGRATIONS_DIR, file) }))
+        .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Writes a migration's statements for SQLite or PostgreSQL. The files in PACK/migrations
+ * are MySQL scripts, so each statement is written again from the current definition in
+ * TABLES. Only the kinds of change the migrations make can be written this way: CREATE
+ * TABLE, and ALTER TABLE with ADD COLUMN or ADD FULLTEXT KEY. A table the database does not
+ * have yet is created with every column it has now, so later additions to it are skipped.
+ * @param {Object} migration - A migration from readMigrations.
+ * @param {string[]} statements - The migration's MySQL statements.
+ * @param {string} dialect - 'sqlite' or 'postgres'.
+ * @param {Object} existing - The columns of each table the database had before the migrations
+ *        ran, as `listColumns()` of the database adapter returns them.
+ * @returns {string[]} The statements, without the trailing `;`.
+ * @throws {Error} If a statement is of another kind.
+ */
+function translateMigration(migration, statements, dialect, existing) {
+    const { label, quote } = DIALECTS[dialect];
+    const translated = [];
+    const unsupported = statement => new Error(`Migration ${migration.version} (${migration.name}) cannot be applied to ${label}: ` +
+        `\`${statement.split('\n')[0]}\` has no equivalent written from PACK/schema.js. Make the change by hand and add the ` +
+        `version to schema_migrations, or recreate the database from PACK/${DIALECTS[dialect].file}.`);
+
+    for (const statement of statements) {
+        const create = /^CREATE TABLE `(\w+)`/i.exec(statement);
+        if (create && TABLES[create[1]]) {
+            if (!existing[create[1]]) translated.push(...createTableStatements(create[1], dialect));
+            continue;
+        }
+
+        const alter = /^ALTER TABLE `(\w+)`\s+([\s\S]+)$/i.exec(statement);
+        if (!alter || !TABLES[alter[1]]) throw unsupported(statement);
+        const name = alter[1];
+        for (const clause of alter[2].split(/,\s*(?=ADD\s)/i)) {
+            const column = /^ADD COLUMN `(\w+)`/i.exec(clause);
+            const definition = column && TABLES[name].columns[column[1]];
+            if (definition && !definition.defaultNow) {
+                if (existing[name] && !existing[name][column[1]]) {
+                    translated.push(`ALTER TABLE ${quote(name)} ADD COLUMN ${columnDefinition(column[1], definition, dialect)}`);
+                }
+            } else if (/^ADD FULLTEXT KEY/i.test(clause) && TABLES[name].fullText) {
+                if (existing[name]) {
+                    translated.push(...fullTextStatements(name, dialect));
+                    // An FTS5 table starts empty; fill it from the rows already stored
+                    if (dialect === 'sqlite') translated.push(`INSERT INTO ${quote(`${name}_search`)} (${quote(`${name}_search`)}) VALUES ('rebuild')`);
+                }
+            } else {
+                throw unsupported(statement);
+            }
+        }
+    }
+    return translated;
+}
+
+/**
+ * Generates the full schema script for one dialect. The script also records every
+ * migration in PACK/migrations as applied, since the schema already contains them.
+ * @param {string} dialect - A key of DIALECTS.
+ * @returns {string} The script.
+ */
+function generateSchema(dialect) {
+    const { label, quote } = DIALECTS[dialect];
+    const banner = '-- -----------------------------------------------------';
+    const parts = [
+        '-- D&D 5e Database Schema (Release 1.3 - Final Relational Version)\n' +
+        '-- Generated from PACK/schema.js by `npm run schema`; edit that file, not this one.\n' +
+        `-- Run this script on your ${label} database to create all necessary tables.`
+    ];
+
+    parts.push(...setupStatements(dialect).map(statement => `${statement};`));
+    for (const section of SECTIONS) {
+        parts.push([banner, `-- ${section.title}`, ...section.description.map(line => `-- ${line}`), banner].join('\n'));
+        for (const name of Object.keys(section.tables)) {
+            parts.push(createTableStatements(name, dialect).map(statement => `${statement};`).join('\n\n'));
+        }
+    }
+
+    const versions = readMigrations().map(migration => `  (${migration.version}, '${migration.name}')`);
+    parts.push('-- This file already contains every migration in PACK/migrations.\n' +
+        `INSERT INTO ${quote('schema_migrations')} (${quote('version')}, ${quote('name')}) VALUES\n${versions.join(',\n')};`);
+    return `${parts.join('\n\n')}\n`;
+}
+
+module.exports = {
+    TABLES, DIALECTS, primaryKeyOf, tableColumns, fullTextDocument, setupStatements, createTableStatements, dropTableStatements,
+    readMigrations, translateMigration, generateSchema
+};
+
+// `node PACK/schema.js` (`npm run schema`) writes every dialect's script
+if (require.main === module) {
+    for (const [dialect, { file }] of Object.entries(DIALECTS)) {
+        fs.writeFileSync(path.join(__dirname, file), generateSchema(dialect));
+        console.log(`Wrote PACK/${file}`);
+    }
+}
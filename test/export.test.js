@@ -0,0 +1,35 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const EVOCATION = { index: 'evocation', name: 'Evocation', desc: 'Evocation focuses on magic that creates powerful elemental effects.' };
+const FIREBALL = {
+    index: 'fireball', name: 'Fireball', desc: ['A bright streak flashes from your pointing finger.'], higher_level: [],
+    range: '150 feet', components: ['V', 'S', 'M'], ritual: false, duration: 'Instantaneous', concentration: false,
+    casting_time: '1 action', level: 3, school: { index: 'evocation', name: 'Evocation', url: '/api/magic-schools/evocation' },
+    classes: [{ index: 'wizard', name: 'Wizard', url: '/api/classes/wizard' }], subclasses: []
+};
+
+let server;
+
+before(async () => {
+    server = await startServer({ 'magic-schools': [EVOCATION], spells: [FIREBALL] });
+    for (const resourceName of ['magic-schools', 'spells']) {
+        const { status } = await server.request('GET', `/sync-${resourceName}`);
+        assert.equal(status, 200);
+    }
+});
+
+after(async () => {
+    await server.stop();
+});
+
+test('the JSON export nests references as upstream APIReferences', async () => {
+    const { status, body } = await server.request('GET', '/export?resources=spells');
+    assert.equal(status, 200);
+    const [spell] = body.resources.spells;
+    assert.deepEqual(spell.school, { index: 'evocation', name: 'Evocation', url: '/api/magic-schools/evocation' });
+    assert.equal(spell.school_index, undefined);
+    // Wizard was never synced, so its name is unknown
+    assert.deepEqual(spell.classes, [{ index: 'wizard', name: null, url: '/api/classes/wizard' }]);
+});
@@ -0,0 +1,124 @@
+// test/helpers.js
+// Runs server.js for the tests: against a new SQLite database, reading from a directory
+// source written from the documents each test gives, so no MySQL server or network is needed.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER_FILE = path.join(__dirname, '..', 'server.js');
+// How long the server may take to check its schema and start listening
+const START_TIMEOUT_MS = 20000;
+
+/**
+ * Writes a directory source laid out like the upstream API: a list document per
+ * resource and a detail document per record.
+ * @param {string} directory - The directory to write to.
+ * @param {Object} resources - Resource name to its records, each shaped like the upstream API's
+ *        (e.g. `{ feats: [{ index: 'grappler', name: 'Grappler', desc: [] }] }`).
+ */
+function writeSource(directory, resources) {
+    for (const [resourceName, records] of Object.entries(resources)) {
+        fs.mkdirSync(path.join(directory, 'api', resourceName), { recursive: true });
+        const results = records.map(record => ({ index: record.index, name: record.name, url: `/api/${resourceName}/${record.index}` }));
+        fs.writeFileSync(path.join(directory, 'api', `${resourceName}.json`), JSON.stringify({ count: results.length, results }));
+        for (const record of records) {
+            fs.writeFileSync(path.join(directory, 'api', resourceName, `${record.index}.json`),
+                JSON.stringify({ url: `/api/${resourceName}/${record.index}`, ...record }));
+        }
+    }
+}
+
+/**
+ * Finds a port nothing is listening on.
+ * @returns {Promise<number>} The port.
+ */
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Starts the server with a new SQLite database and a source written from `resources`.
+ * @param {Object} resources - The upstream records, as writeSource takes them.
+ * @returns {Promise<Object>} The running server:
+ *   - `request(method, path, body)`: sends a request and resolves with `{ status, body }`,
+ *     the body parsed as JSON.
+ *   - `writeSource(resources)`: replaces records in the source, e.g. to change one upstream.
+ *   - `stop()`: stops the server and deletes its files.
+ */
+async function startServer(resources) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dnd-test-'));
+    const sourceDirectory = path.join(directory, 'source');
+    writeSource(sourceDirectory, resources);
+    const port = await findFreePort();
+
+    const child = spawn(process.execPath, [SERVER_FILE], {
+        cwd: directory,
+        env: {
+            ...process.env,
+            DND_DB_CLIENT: 'sqlite',
+            DND_SQLITE_FILE: path.join(directory, 'dnd.sqlite'),
+            DND_MIGRATE: 'true',
+            DND_SOURCE: sourceDirectory,
+            DND_CACHE: 'off',
+            DND_CACHE_DIR: path.join(directory, 'cache'),
+            DND_SCHEDULE_FILE: path.join(directory, 'schedules.json'),
+            DND_PORT: String(port)
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`The server did not start within ${START_TIMEOUT_MS} ms:\n${output}`));
+        }, START_TIMEOUT_MS);
+        const collect = chunk => {
+            output += chunk;
+            if (output.includes('Backend server is running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+        child.once('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`The server exited with code ${code}:\n${output}`));
+        });
+    });
+
+    return {
+        async request(method, apiPath, body) {
+            const response = await fetch(`http://localhost:${port}${apiPath}`, {
+                method,
+                headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+            return { status: response.status, body: await response.json() };
+        },
+        writeSource(changed) {
+            writeSource(sourceDirectory, changed);
+        },
+        async stop() {
+            if (child.exitCode === null) {
+                const exited = new Promise(resolve => child.once('exit', resolve));
+                child.kill();
+                await exited;
+            }
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const schema = require('../PACK/schema.js');
+
+const ROOT = path.join(__dirname, '..');
+
+test('npm run migrate brings an older SQLite database up to date', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dnd-test-'));
+    const file = path.join(directory, 'dnd.sqlite');
+    try {
+        // Take a new database back to version 8, before the search indexes, homebrew and environments
+        const db = new Database(file);
+        db.exec(fs.readFileSync(path.join(ROOT, 'PACK', 'create_db.sqlite.sql'), 'utf8'));
+        for (const [name, table] of Object.entries(schema.TABLES)) {
+            if (!table.fullText) continue;
+            db.exec(['', '_insert', '_delete', '_update'].map(suffix =>
+                `DROP ${suffix ? 'TRIGGER' : 'TABLE'} "${name}_search${suffix}";`).join('\n'));
+        }
+        db.exec(`
+            DROP TABLE "record_overrides";
+            ALTER TABLE "spells" DROP COLUMN "source";
+            ALTER TABLE "monsters" DROP COLUMN "environments";
+            DELETE FROM "schema_migrations" WHERE "version" > 8;
+            INSERT INTO "spells" ("index", "name", "description") VALUES ('fireball', 'Fireball', 'A bright streak of fire.');
+        `);
+        db.close();
+
+        const output = execFileSync(process.execPath, [path.join(ROOT, 'server.js'), 'migrate'], {
+            env: { ...process.env, DND_DB_CLIENT: 'sqlite', DND_SQLITE_FILE: file },
+            encoding: 'utf8',
+            timeout: 20000
+        });
+        assert.match(output, /Applied 3 migration\(s\)/);
+
+        const migrated = new Database(file, { readonly: true });
+        try {
+            const versions = migrated.prepare('SELECT "version" FROM "schema_migrations" ORDER BY "version"').all().map(row => row.version);
+            assert.deepEqual(versions.slice(-3), [9, 10, 11]);
+            assert.deepEqual(migrated.prepare('SELECT "source" FROM "spells"').all(), [{ source: 'srd' }]);
+            assert.ok(migrated.prepare('PRAGMA table_info("monsters")').all().some(column => column.name === 'environments'));
+            assert.ok(migrated.prepare('PRAGMA table_info("record_overrides")').all().length > 0);
+            // The new search index holds the rows stored before it existed
+            assert.equal(migrated.prepare('SELECT COUNT(*) AS "hits" FROM "spells_search" WHERE "spells_search" MATCH \'fire\'').get().hits, 1);
+        } finally {
+            migrated.close();
+        }
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const GOBLIN = {
+    index: 'goblin', name: 'Goblin', size: 'Small', type: 'humanoid', subtype: 'goblinoid', alignment: 'neutral evil',
+    armor_class: [{ type: 'armor', value: 15 }], hit_points: 7, hit_dice: '2d6', speed: { walk: '30 ft.' },
+    strength: 8, dexterity: 14, constitution: 10, intelligence: 10, wisdom: 8, charisma: 8,
+    proficiencies: [], damage_vulnerabilities: [], damage_resistances: [], damage_immunities: [], condition_immunities: [],
+    senses: { darkvision: '60 ft.', passive_perception: 9 }, languages: 'Common, Goblin', challenge_rating: 0.25, xp: 50,
+    special_abilities: [], legendary_actions: [],
+    actions: [{ name: 'Scimitar', desc: 'Melee Weapon Attack: +4 to hit.', attack_bonus: 4, damage: [] }]
+};
+
+let server;
+
+before(async () => {
+    server = await startServer({ monsters: [GOBLIN] });
+    const { status } = await server.request('GET', '/sync-monsters');
+    assert.equal(status, 200);
+});
+
+after(async () => {
+    await server.stop();
+});
+
+for (const column of ['speed', 'senses', 'damage_resistances', 'damage_immunities', 'actions']) {
+    test(`an override of monsters.${column}, which feeds a child table, is rejected`, async () => {
+        const { status, body } = await server.request('PUT', '/overrides/monsters/goblin', { [column]: GOBLIN[column] });
+        assert.equal(status, 400);
+        assert.match(body.message, new RegExp(`"${column}" cannot be overridden`));
+    });
+}
+
+test('a rejected override changes nothing', async () => {
+    await server.request('PUT', '/overrides/monsters/goblin', { hit_points: 11, speed: { walk: '60 ft.' } });
+    const { body } = await server.request('GET', '/api/monsters/goblin');
+    assert.equal(body.result.hit_points, 7);
+    assert.deepEqual(body.result.speed, { walk: '30 ft.' });
+    assert.deepEqual(body.result.speed_list.map(({ movement, distance_ft }) => ({ movement, distance_ft })), [{ movement: 'walk', distance_ft: 30 }]);
+});
+
+test('an override of a plain column is kept through a full sync', async () => {
+    const { status } = await server.request('PUT', '/overrides/monsters/goblin', { hit_points: 11 });
+    assert.equal(status, 200);
+    await server.request('GET', '/sync-monsters');
+
+    const { body } = await server.request('GET', '/api/monsters/goblin');
+    assert.equal(body.result.hit_points, 11);
+    assert.deepEqual(body.result.sense_list.map(sense => sense.sense).sort(), ['darkvision', 'passive_perception']);
+});
+
+test('clearing a table deletes the overrides of its records', async () => {
+    const { status, body } = await server.request('POST', '/clear-database', { confirm: 'CLEAR DATABASE', tables: ['monsters'] });
+    assert.equal(status, 200);
+    assert.equal(body.cleared.record_overrides, 1);
+
+    const { body: overrides } = await server.request('GET', '/overrides');
+    assert.equal(overrides.count, 0);
+});
@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const EVOCATION = { index: 'evocation', name: 'Evocation', desc: 'Evocation focuses on magic that creates powerful elemental effects.' };
+const FIREBALL = {
+    index: 'fireball', name: 'Fireball', desc: ['A bright streak flashes from your pointing finger.'], higher_level: [],
+    range: '150 feet', components: ['V', 'S', 'M'], material: 'A tiny ball of bat guano and sulfur.', ritual: false,
+    duration: 'Instantaneous', concentration: false, casting_time: '1 action', level: 3,
+    school: { index: 'evocation', name: 'Evocation', url: '/api/magic-schools/evocation' }, classes: [], subclasses: []
+};
+const ALARM = {
+    index: 'alarm', name: 'Alarm', desc: ['You set an alarm against unwanted intrusion.'], higher_level: [],
+    range: '30 feet', components: ['V', 'S'], ritual: true, duration: '8 hours', concentration: false,
+    casting_time: '1 minute', level: 1, school: { index: 'evocation', name: 'Evocation', url: '/api/magic-schools/evocation' },
+    classes: [], subclasses: []
+};
+
+let server;
+
+before(async () => {
+    server = await startServer({ 'magic-schools': [EVOCATION], spells: [FIREBALL, ALARM] });
+    for (const resourceName of ['magic-schools', 'spells']) {
+        const { status } = await server.request('GET', `/sync-${resourceName}`);
+        assert.equal(status, 200);
+    }
+});
+
+after(async () => {
+    await server.stop();
+});
+
+test('filters narrow the list', async () => {
+    const { status, body } = await server.request('GET', '/api/spells?level_max=2');
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map(spell => spell.index), ['alarm']);
+});
+
+test('boolean filters take true and false', async () => {
+    const { body } = await server.request('GET', '/api/spells?ritual=false');
+    assert.deepEqual(body.results.map(spell => spell.index), ['fireball']);
+});
+
+test('boolean columns are returned as booleans', async () => {
+    const { body } = await server.request('GET', '/api/spells/alarm');
+    assert.equal(body.result.ritual, true);
+    assert.equal(body.result.concentration, false);
+    assert.equal(body.result.component_m, false);
+});
+
+for (const path of ['/api/spells?level=1&level=2', '/api/spells/alarm?fields=name&fields=level', '/search?q=fire&q=alarm', '/export?resources=spells&resources=monsters']) {
+    test(`a repeated parameter is rejected: ${path}`, async () => {
+        const { status, body } = await server.request('GET', path);
+        assert.equal(status, 400);
+        assert.match(body.message, /can only be given once/);
+    });
+}
+
+for (const [path, message] of [
+    ['/api/spells?page=0', /`page` must be a positive integer/],
+    ['/api/spells?limit=100000', /`limit` must be between 1 and/],
+    ['/api/spells?sort=name;drop', /sort/],
+    ['/api/spells?embed=nothing', /Unknown relation/]
+]) {
+    test(`an invalid parameter is rejected: ${path}`, async () => {
+        const { status, body } = await server.request('GET', path);
+        assert.equal(status, 400);
+        assert.match(body.message, message);
+    });
+}
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const GRAPPLER = { index: 'grappler', name: 'Grappler', prerequisites: [], desc: ['You have developed the skills necessary to hold your own in close-quarters grappling.'] };
+// `feats.name` is NOT NULL, so this record fails when it is written
+const BROKEN = { index: 'broken', name: null, prerequisites: [], desc: ['A feat without a name.'] };
+
+let server;
+
+before(async () => {
+    server = await startServer({ feats: [GRAPPLER, BROKEN] });
+});
+
+after(async () => {
+    await server.stop();
+});
+
+/**
+ * Reads the most recent sync run of a resource.
+ * @param {string} resourceName - The resource.
+ * @returns {Promise<Object>} The `sync_runs` row.
+ */
+async function latestRun(resourceName) {
+    const { body } = await server.request('GET', `/sync-history?resource=${resourceName}&limit=1`);
+    return body.runs[0];
+}
+
+test('a record that fails is left out of the diff and the run counts', async () => {
+    const { status, body } = await server.request('GET', '/sync-feats?continueOnError=true');
+    assert.equal(status, 200);
+    assert.equal(body.partial, true);
+    assert.deepEqual(body.diff.added, ['grappler']);
+    assert.deepEqual(body.diff.updated, []);
+    assert.deepEqual(body.failed.map(record => record.index), ['broken']);
+
+    const run = await latestRun('feats');
+    assert.equal(run.status, 'completed');
+    assert.equal(run.records_fetched, 2);
+    assert.equal(run.records_inserted, 1);
+    assert.equal(run.records_updated, 0);
+    assert.equal(run.records_failed, 1);
+});
+
+test('a run that fails part way stores the counts of the records before the failure', async () => {
+    const { status } = await server.request('GET', '/sync-feats');
+    assert.equal(status, 500);
+
+    const run = await latestRun('feats');
+    assert.equal(run.status, 'failed');
+    assert.equal(run.records_fetched, 2);
+    assert.equal(run.records_inserted, 0);
+    assert.equal(run.records_updated, 0);
+    assert.equal(run.records_unchanged, 1);
+    assert.equal(run.records_failed, 1);
+    assert.match(run.error_message, /NOT NULL/);
+});
+
+test('a stored record that fails to update is not listed as updated', async () => {
+    server.writeSource({ feats: [{ ...GRAPPLER, name: null }, BROKEN] });
+    const { body } = await server.request('GET', '/sync-feats?continueOnError=true');
+    assert.deepEqual(body.diff.added, []);
+    assert.deepEqual(body.diff.updated, []);
+    assert.deepEqual(body.failed.map(record => record.index), ['grappler', 'broken']);
+
+    const run = await latestRun('feats');
+    assert.equal(run.records_updated, 0);
+    assert.equal(run.records_failed, 2);
+});